@@ -290,6 +290,7 @@ Agent.prototype.createSocket = function createSocket(req, options, cb) {
   let created = false;
   const oncreate = (err, s) => {
     if (created) return;
+    created = true;
     if (err) return cb(err);
     if (!this.sockets[name]) {
       this.sockets[name] = [];
@@ -301,7 +302,7 @@ Agent.prototype.createSocket = function createSocket(req, options, cb) {
     cb(null, s);
   };
 
-  const newSocket = this.createConnection(options);
+  const newSocket = this.createConnection(options, oncreate);
   if (newSocket) oncreate(null, newSocket);
 };
 
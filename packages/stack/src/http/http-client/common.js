@@ -206,8 +206,8 @@ class HTTPParser {
           rawHeaders,
           null,
           "",
-          response.message,
           response.code,
+          response.message,
           upgrade,
           keepAlive
         );
@@ -38,6 +38,8 @@ const { URL } = require("url");
 const { kOutHeaders, kNeedDrain } = require("./internal/http");
 
 const { connResetException, codes } = require("../../utils").errors;
+const { getTimerDuration } = require("../../utils").timers;
+const { validateInteger } = require("../../utils").validators;
 const {
   ERR_HTTP_HEADERS_SENT,
   ERR_INVALID_ARG_TYPE,
@@ -316,11 +318,10 @@ function ClientRequest(input, options, cb) {
         }
       };
 
+      // The socket belongs to this request alone, so pass the signal to
+      // abort it while connecting
       try {
-        const newSocket = optsWithoutSignal.createConnection(
-          optsWithoutSignal,
-          oncreate
-        );
+        const newSocket = options.createConnection(options, oncreate);
         if (newSocket) {
           oncreate(null, newSocket);
         }
@@ -22,6 +22,14 @@
 "use strict";
 
 const { Agent: HttpAgent, ClientRequest } = require("../http");
+const {
+  connectProxy,
+  getEnv,
+  getProxyForUrl,
+  isNoProxy,
+  normalizeProxy,
+  normalizeTarget,
+} = require("./proxy");
 let debug = require("util").debuglog("https", (fn) => {
   debug = fn;
 });
@@ -249,6 +257,81 @@ Agent.prototype._evictSession = function _evictSession(key) {
   delete this._sessionCache.map[key];
 };
 
+/**
+ * Creates a new `Agent` tunnelling through a forward proxy with CONNECT.
+ * @param {{
+ *   proxy?: string | URL | Object;
+ *   noProxy?: string | string[];
+ *   }} [options] `Agent` options, `proxy` defaults to HTTPS_PROXY and
+ *   `noProxy` to NO_PROXY in node
+ * @returns {ProxyAgent}
+ */
+function ProxyAgent(options) {
+  if (!(this instanceof ProxyAgent)) return new ProxyAgent(options);
+
+  Agent.call(this, options);
+}
+Object.setPrototypeOf(ProxyAgent.prototype, Agent.prototype);
+Object.setPrototypeOf(ProxyAgent, Agent);
+
+// Proxy of a connection from the agent's options or the environment, null to connect directly
+function getAgentProxy(options, target) {
+  let proxy = options.proxy;
+  if (proxy === undefined) {
+    proxy = getProxyForUrl(target);
+  } else {
+    const noProxy =
+      options.noProxy !== undefined
+        ? options.noProxy
+        : getEnv("no_proxy", "NO_PROXY");
+    if (isNoProxy(target.host, target.port, noProxy)) proxy = null;
+  }
+
+  return proxy ? normalizeProxy(proxy) : null;
+}
+
+// Sockets through different proxies, or none, aren't pooled together
+ProxyAgent.prototype.getName = function getName(options) {
+  const proxy = getAgentProxy(options, normalizeTarget(options));
+  return (
+    Agent.prototype.getName.call(this, options) +
+    ":" +
+    (proxy ? proxy.name : "")
+  );
+};
+
+ProxyAgent.prototype.createConnection = function createProxyConnection(
+  options,
+  cb
+) {
+  const target = normalizeTarget(options);
+  const proxy = getAgentProxy(options, target);
+
+  if (!proxy) {
+    return createConnection.call(this, options);
+  }
+
+  debug("connect %s:%s through proxy %s", target.host, target.port, proxy.name);
+
+  connectProxy(proxy, target, (err, socket) => {
+    if (err) return cb(err);
+
+    // Secure the tunnel, reusing sessions like direct connections
+    let tlsSocket;
+    try {
+      tlsSocket = createConnection.call(this, {
+        ...options,
+        socket,
+        createConnection: undefined,
+      });
+    } catch (err) {
+      socket.destroy();
+      return cb(err);
+    }
+    cb(null, tlsSocket);
+  });
+};
+
 const globalAgent = new Agent();
 
 /**
@@ -319,6 +402,8 @@ function get(input, options, cb) {
 
 module.exports = {
   Agent,
+  ProxyAgent,
+  getProxyForUrl,
   globalAgent,
   get,
   request,
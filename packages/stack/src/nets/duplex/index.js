@@ -0,0 +1,598 @@
+const { Duplex } = require("stream");
+const EventEmitter = require("events");
+const getIterator = require("get-iterator");
+const { Buffer } = require("buffer");
+const END_CHUNK = Buffer.alloc(0);
+
+const buffer = require("it-buffer");
+const net = require("./internals");
+const { kConnectAbort, kRelease, closeStream } = net;
+const {
+  ERR_MISSING_OPTION,
+  ERR_SERVER_ALREADY_LISTEN,
+  ERR_SERVER_NOT_RUNNING,
+} = require("../../utils").errors.codes;
+const { AbortError } = require("../../utils").errors;
+const { getTimerDuration, setUnrefTimeout } = require("../../utils").timers;
+const { validateFunction } = require("../../utils").validators;
+
+const kTimeout = Symbol("timeout");
+const kBytesRead = Symbol("bytesRead");
+const kBytesWritten = Symbol("bytesWritten");
+const kPendingWrite = Symbol("pendingWrite");
+const kSinkNext = Symbol("sinkNext");
+const kWriteCallback = Symbol("writeCallback");
+
+/**
+ * Convert an async iterable duplex stream to a socket
+ * @param {Object} options options.stream: { sink, source } to wrap, otherwise options.dial can be passed to connect
+ * @returns {Socket} socket like class using underlying stream
+ */
+class Socket extends Duplex {
+  constructor(options) {
+    options = { ...options };
+
+    //Like native sockets, end our side once the remote ends unless options.allowHalfOpen
+    options.allowHalfOpen = Boolean(options.allowHalfOpen);
+
+    super(options);
+
+    this.reading = false;
+
+    //Chunk waiting for the sink, the sink waiting for a chunk and the callback of the chunk it's sending
+    this[kPendingWrite] = null;
+    this[kSinkNext] = null;
+    this[kWriteCallback] = null;
+
+    this.connecting = false;
+    this.timeout = 0;
+    this[kTimeout] = null;
+    this[kBytesRead] = 0;
+    this[kBytesWritten] = 0;
+    this[kConnectAbort] = null;
+    this[kRelease] = null;
+    this._options = options;
+
+    this.stream = null;
+
+    if (options.stream) {
+      this._setupStream(options.stream);
+    }
+  }
+
+  _write(chunk, enc, cb) {
+    this._unrefTimer();
+    this[kPendingWrite] = { chunk, cb };
+    this._flushWrite();
+  }
+
+  //Ends the sink, closing only our side of the stream
+  _final(cb) {
+    this[kPendingWrite] = { chunk: END_CHUNK, cb };
+    this._flushWrite();
+  }
+
+  //Hand the pending chunk to the sink once it asks for one.
+  //Writes complete when the sink asks for the next chunk, so unsent data stays buffered up to writableHighWaterMark.
+  _flushWrite() {
+    const pending = this[kPendingWrite];
+    const next = this[kSinkNext];
+    if (!pending || !next) return;
+
+    this[kPendingWrite] = null;
+    this[kSinkNext] = null;
+
+    if (pending.chunk === END_CHUNK) {
+      next({ done: true });
+      pending.cb();
+      return;
+    }
+
+    //Chunks count as written once sent, until then they're part of writableLength
+    this[kWriteCallback] = () => {
+      this[kBytesWritten] += pending.chunk.length;
+      pending.cb();
+    };
+    next({ value: pending.chunk });
+  }
+
+  async _read(size) {
+    if (this.connecting || !this.duplex) {
+      this.once("connect", () => this._read(size));
+      return;
+    }
+
+    if (this.reading) return;
+
+    this.reading = true;
+
+    try {
+      //Keep reading until the readable buffer is full, _read is called again once it drains
+      while (true) {
+        if (!this.duplex.source) return this.push(null);
+
+        const { value, done } = await this.duplex.source.next(size);
+        if (this.destroyed) return;
+        if (done) return this.push(null);
+
+        this._unrefTimer();
+        this[kBytesRead] += value.length;
+        if (!this.push(value)) break;
+      }
+    } catch (err) {
+      this.destroy(err);
+    } finally {
+      this.reading = false;
+    }
+  }
+
+  /**
+   * Get a stream from options.stream or options.dial and attach it, overridden by sockets dialing their own streams
+   * @param {Object} options connect options normalized by _normalizeConnectOptions
+   */
+  async internalConnect(options) {
+    const { signal } = options;
+
+    //Abort dialing when destroyed or options.signal aborts
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    this[kConnectAbort] = onAbort;
+
+    let stream;
+    try {
+      stream = await (options.stream ||
+        options.dial({ ...options, signal: controller.signal }));
+    } finally {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      this[kConnectAbort] = null;
+    }
+
+    if (controller.signal.aborted) {
+      closeStream(stream);
+      throw new AbortError();
+    }
+
+    this.connecting = false;
+    this._setupStream(stream);
+    this.emit("connect");
+  }
+
+  /**
+   * Validate connect options, invalid options throw synchronously from connect
+   * @param {Object} options socket and connect options
+   * @returns {Object} options passed to internalConnect
+   */
+  _normalizeConnectOptions(options) {
+    if (!options.stream) {
+      if (options.dial === undefined) {
+        throw new ERR_MISSING_OPTION("options.dial");
+      }
+      validateFunction(options.dial, "options.dial");
+    }
+
+    return options;
+  }
+
+  /**
+   * Attach a stream to this socket
+   * @param {Object} stream duplex iterable with sink and source
+   */
+  _setupStream(stream) {
+    this.stream = stream;
+
+    const duplex = {
+      sink: stream.sink,
+      source: stream.source ? getIterator(buffer(stream.source)) : null,
+    };
+
+    if (duplex.sink) {
+      const self = this;
+
+      const sink = duplex.sink({
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+        next() {
+          if (self.destroyed) return Promise.resolve({ done: true });
+
+          //The sink is done with the previous chunk, complete its write
+          const cb = self[kWriteCallback];
+          self[kWriteCallback] = null;
+
+          const next = new Promise((resolve) => (self[kSinkNext] = resolve));
+          self._flushWrite();
+          if (cb) cb();
+          return next;
+        },
+        async throw(err) {
+          self.destroy(err);
+          return { done: true };
+        },
+        async return() {
+          self.destroy();
+          return { done: true };
+        },
+      });
+
+      //Reset streams fail the sink
+      if (sink && typeof sink.catch === "function") {
+        sink.catch((err) => self.destroy(err));
+      }
+    }
+
+    this.duplex = duplex;
+  }
+
+  _destroy(err, cb) {
+    //Stop dialing if still connecting
+    if (this[kConnectAbort]) this[kConnectAbort]();
+
+    clearTimeout(this[kTimeout]);
+    this[kTimeout] = null;
+
+    //End the sink and abort the stream unless both sides already ended
+    if (this[kSinkNext]) {
+      this[kSinkNext]({ done: true });
+      this[kSinkNext] = null;
+    }
+    if (this.stream && !(this.readableEnded && this.writableFinished)) {
+      closeStream(this.stream);
+    }
+
+    //Let resources shared with other sockets close once unused
+    if (this[kRelease]) {
+      this[kRelease]();
+      this[kRelease] = null;
+    }
+
+    cb(err);
+  }
+
+  /**
+   * Emit 'timeout' after msecs of inactivity, 0 disables the idle timeout
+   * @param {number} msecs inactivity in milliseconds
+   * @param {Function} callback optional listener for the 'timeout' event
+   * @returns {Socket}
+   */
+  setTimeout(msecs, callback) {
+    if (this.destroyed) return this;
+
+    msecs = getTimerDuration(msecs, "msecs");
+    this.timeout = msecs;
+
+    clearTimeout(this[kTimeout]);
+    this[kTimeout] = null;
+
+    if (msecs === 0) {
+      if (callback !== undefined) {
+        validateFunction(callback, "callback");
+        this.removeListener("timeout", callback);
+      }
+    } else {
+      this[kTimeout] = setUnrefTimeout(this._onTimeout.bind(this), msecs);
+
+      if (callback !== undefined) {
+        validateFunction(callback, "callback");
+        this.once("timeout", callback);
+      }
+    }
+
+    return this;
+  }
+
+  _onTimeout() {
+    this[kTimeout] = null;
+    this.emit("timeout");
+  }
+
+  //Restart the idle timer on activity
+  _unrefTimer() {
+    if (!this.timeout || this.destroyed) return;
+
+    clearTimeout(this[kTimeout]);
+    this[kTimeout] = setUnrefTimeout(this._onTimeout.bind(this), this.timeout);
+  }
+
+  setNoDelay() {
+    return this;
+  }
+
+  setKeepAlive() {
+    return this;
+  }
+
+  ref() {
+    return this;
+  }
+
+  unref() {
+    return this;
+  }
+
+  get pending() {
+    return !this.duplex || this.connecting;
+  }
+
+  get bytesRead() {
+    return this[kBytesRead];
+  }
+
+  get bytesWritten() {
+    return this[kBytesWritten] + this.writableLength;
+  }
+
+  //Streams can describe their ends with remoteAddress, remotePort, localAddress, etc.
+  get remoteAddress() {
+    return this.stream ? this.stream.remoteAddress : undefined;
+  }
+
+  get remoteFamily() {
+    return this.stream ? this.stream.remoteFamily : undefined;
+  }
+
+  get remotePort() {
+    return this.stream ? this.stream.remotePort : undefined;
+  }
+
+  get localAddress() {
+    return this.stream ? this.stream.localAddress : undefined;
+  }
+
+  get localPort() {
+    return this.stream ? this.stream.localPort : undefined;
+  }
+
+  address() {
+    if (!this.stream) return {};
+
+    return {
+      address: this.localAddress,
+      family: this.stream.localFamily || this.remoteFamily,
+      port: this.localPort,
+    };
+  }
+
+  get readyState() {
+    if (this.connecting) {
+      return "opening";
+    } else if (this.readable && this.writable) {
+      return "open";
+    } else if (this.readable && !this.writable) {
+      return "readOnly";
+    } else if (!this.readable && this.writable) {
+      return "writeOnly";
+    }
+    return "closed";
+  }
+
+  connect(...args) {
+    let normalized;
+    // If passed an array, it's treated as an array of arguments that have
+    // already been normalized (so we don't normalize more than once). This has
+    // been solved before in https://github.com/nodejs/node/pull/12342, but was
+    // reverted as it had unintended side effects.
+    if (Array.isArray(args[0]) && args[0][net.normalizedArgsSymbol]) {
+      normalized = args[0];
+    } else {
+      normalized = net._normalizeArgs(args);
+    }
+
+    const options = normalized[0];
+    const cb = normalized[1];
+
+    if (cb !== null) {
+      this.once("connect", cb);
+    }
+
+    //Invalid options throw here, failing to connect is emitted as 'error' like native sockets
+    const connectOptions = this._normalizeConnectOptions({
+      ...this._options,
+      ...options,
+    });
+
+    this.connecting = true;
+    this.internalConnect(connectOptions).catch((err) => this.destroy(err));
+
+    return this;
+  }
+}
+
+/**
+ * Connect a socket to a stream from options.stream or options.dial
+ * @param {Object} options options.dial: function resolving with a { sink, source } stream
+ * @param {Function} cb listener for the 'connect' event
+ * @returns {Socket}
+ */
+function connect(...args) {
+  const normalized = net._normalizeArgs(args);
+  const [options] = normalized;
+  const socket = new Socket(options);
+
+  if (options.timeout) {
+    socket.setTimeout(options.timeout);
+  }
+
+  return socket.connect(normalized);
+}
+
+/**
+ * Accept streams as sockets
+ * @param {Object} options socket options and options.listen can be passed to listen
+ * @param {Function} connectionListener listener for the 'connection' event
+ * @returns {Server} server like class accepting underlying streams
+ */
+class Server extends EventEmitter {
+  constructor(options, connectionListener) {
+    super();
+
+    if (typeof options === "function") {
+      connectionListener = options;
+      options = {};
+    }
+
+    this._options = options || {};
+    this._connections = 0;
+    this._handle = null;
+    this.maxConnections = undefined;
+
+    if (typeof connectionListener === "function") {
+      this.on("connection", connectionListener);
+    }
+  }
+
+  get listening() {
+    return !!this._handle;
+  }
+
+  listen(...args) {
+    const normalized = net._normalizeArgs(args);
+    const options = { ...this._options, ...normalized[0] };
+    const cb = normalized[1];
+
+    if (this._handle) {
+      throw new ERR_SERVER_ALREADY_LISTEN();
+    }
+
+    const handle = this._listen(options);
+    this._handle = handle;
+
+    if (cb !== null) {
+      this.once("listening", cb);
+    }
+
+    //Handles listening asynchronously emit 'listening' once ready, or 'error' instead like a native listen
+    if (handle.ready) {
+      handle.ready.then(
+        () => {
+          if (this._handle === handle) this.emit("listening");
+        },
+        (err) => {
+          if (this._handle === handle) this._handle = null;
+          this.emit("error", err);
+        }
+      );
+    } else {
+      process.nextTick(() => this.emit("listening"));
+    }
+
+    return this;
+  }
+
+  /**
+   * Start accepting streams, overridden by servers listening on their own transport
+   * @param {Object} options options.listen is called with a function accepting each stream and can return a function to stop listening,
+   *  options.address is returned by server.address()
+   * @returns {Object} handle with a close function and address, and a ready promise when listening asynchronously
+   */
+  _listen(options) {
+    if (options.listen === undefined) {
+      throw new ERR_MISSING_OPTION("options.listen");
+    }
+    validateFunction(options.listen, "options.listen");
+
+    const close = options.listen((stream) => this._accept(stream));
+
+    return {
+      address: options.address || {},
+      close: typeof close === "function" ? close : () => {},
+    };
+  }
+
+  /**
+   * Emit a stream as a 'connection' socket unless maxConnections is reached
+   * @param {Object} stream duplex iterable with sink and source
+   * @param {Object} options socket options for this stream
+   * @param {Object} dropped data for the 'drop' event if the stream is refused
+   * @returns {Socket} the socket or undefined if dropped
+   */
+  _accept(stream, options = {}, dropped = {}) {
+    if (this.maxConnections && this._connections >= this.maxConnections) {
+      this.emit("drop", dropped);
+      this._refuse(stream);
+      return;
+    }
+
+    const socket = this._createSocket({ ...this._options, ...options, stream });
+
+    socket.server = this;
+    this._connections++;
+
+    socket.once("close", () => {
+      this._connections--;
+      this._emitCloseIfDrained();
+    });
+
+    this.emit("connection", socket);
+    return socket;
+  }
+
+  _createSocket(options) {
+    return new Socket(options);
+  }
+
+  //Close refused streams without reading them
+  _refuse(stream) {
+    if (stream.sink) {
+      Promise.resolve(stream.sink([])).catch(() => {});
+    } else {
+      closeStream(stream);
+    }
+  }
+
+  address() {
+    return this._handle ? this._handle.address : null;
+  }
+
+  getConnections(cb) {
+    process.nextTick(cb, null, this._connections);
+    return this;
+  }
+
+  close(cb) {
+    if (typeof cb === "function") {
+      if (!this._handle) {
+        this.once("close", function close() {
+          cb(new ERR_SERVER_NOT_RUNNING());
+        });
+      } else {
+        this.once("close", cb);
+      }
+    }
+
+    if (this._handle) {
+      this._handle.close();
+      this._handle = null;
+    }
+
+    this._emitCloseIfDrained();
+    return this;
+  }
+
+  _emitCloseIfDrained() {
+    if (this._handle || this._connections) return;
+    process.nextTick(() => this.emit("close"));
+  }
+}
+
+function createServer(options, connectionListener) {
+  return new Server(options, connectionListener);
+}
+
+module.exports = {
+  connect,
+  createConnection: connect,
+  createServer,
+  Server,
+  Socket,
+  Stream: Socket,
+  isIP: net.isIP,
+  isIPv4: net.isIPv4,
+  isIPv6: net.isIPv6,
+  _normalizeArgs: net._normalizeArgs,
+};
@@ -1,3 +1,8 @@
 module.exports = {
+  duplex: require("./duplex"),
   libp2p: require("./libp2p"),
+  memory: require("./memory"),
+  messageport: require("./messageport"),
+  socks: require("./socks"),
+  websocket: require("./websocket"),
 };
@@ -0,0 +1,247 @@
+const { canHop, PROTOCOL, HOP_PROTOCOL_V2 } = require("./circuit-relay");
+const compat = require("./compat");
+const { raceSignal } = require("./dial");
+const net = require("./internals");
+const { ERR_INVALID_ARG_TYPE } = require("../../utils").errors.codes;
+const { AbortError, NodeAggregateError } = require("../../utils").errors;
+const { validateInteger } = require("../../utils").validators;
+
+//Options used by options.autoRelay: true, or for missing options
+const DEFAULT_OPTIONS = {
+  maxRelays: 5,
+  probeTimeout: 5000,
+};
+
+//Relayed paths are forgotten after this long, so peers that became reachable are dialed directly again
+const PATH_TTL = 10 * 60 * 1000;
+
+/**
+ * Validate options.autoRelay
+ * @param {boolean|Object} autoRelay true or { maxRelays, probeTimeout }
+ * @param {string} name name of the option in errors
+ * @returns {Object|null} the full options, null when disabled
+ */
+function normalizeAutoRelayOptions(autoRelay, name) {
+  if (!autoRelay) return null;
+  if (autoRelay === true) return { ...DEFAULT_OPTIONS };
+
+  if (typeof autoRelay !== "object") {
+    throw new ERR_INVALID_ARG_TYPE(name, ["boolean", "Object"], autoRelay);
+  }
+
+  const options = { ...DEFAULT_OPTIONS };
+  for (const key of Object.keys(DEFAULT_OPTIONS)) {
+    if (autoRelay[key] !== undefined) options[key] = autoRelay[key];
+  }
+
+  validateInteger(options.maxRelays, `${name}.maxRelays`, 1);
+  validateInteger(options.probeTimeout, `${name}.probeTimeout`, 1);
+
+  return options;
+}
+
+//Relay found for each route, per libp2p instance
+const paths = new WeakMap();
+
+function getPaths(libp2p) {
+  let entries = paths.get(libp2p);
+  if (!entries) {
+    entries = new Map();
+    paths.set(libp2p, entries);
+  }
+  return entries;
+}
+
+//Routes to the same peers share their relay whatever their protocol
+function pathKey({ multiaddr, hops }) {
+  return [String(multiaddr), ...hops].join(",");
+}
+
+//Relayed routes mapped to the route they reach and the relay they go through
+const relayedRoutes = new WeakMap();
+
+function relayRoute(route, relay) {
+  const relayed = {
+    multiaddr: net.formatMultiaddr({ peerId: relay }),
+    hops: [net.parseMultiaddr(route.multiaddr).peerId, ...route.hops],
+    proto: route.proto,
+  };
+
+  relayedRoutes.set(relayed, { route, relay });
+  return relayed;
+}
+
+function getCachedRoute(libp2p, route) {
+  const entries = getPaths(libp2p);
+  const key = pathKey(route);
+  const entry = entries.get(key);
+
+  if (!entry) return null;
+  if (entry.expires <= Date.now()) {
+    entries.delete(key);
+    return null;
+  }
+
+  return relayRoute(route, entry.relay);
+}
+
+/**
+ * Relays in the peer store, probing circuit relay v1 relays with CAN_HOP.
+ * Circuit relay v2 relays advertise their hop protocol only when relaying, so they aren't probed.
+ * @param {*} libp2p libp2p instance
+ * @param {Set<string>} exclude peer ids not to use as relays
+ * @param {Object} options options.maxRelays, options.probeTimeout, options.blockList and options.signal
+ * @returns {Promise<Array<string>>} relay peer ids, in the order they answered
+ */
+async function findRelays(libp2p, exclude, options) {
+  const { maxRelays, probeTimeout, blockList, signal } = options;
+
+  const candidates = (await compat.getPeers(libp2p))
+    .filter(
+      ({ id, protocols }) =>
+        !exclude.has(id) &&
+        !(blockList && blockList.rule(id)) &&
+        (protocols.includes(HOP_PROTOCOL_V2) || protocols.includes(PROTOCOL))
+    )
+    .slice(0, maxRelays);
+
+  const relays = [];
+
+  const probe = async ({ id, protocols }) => {
+    if (protocols.includes(HOP_PROTOCOL_V2)) {
+      relays.push(id);
+      return;
+    }
+
+    //Probes give up after options.probeTimeout, or once options.signal aborts
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    const timer = setTimeout(onAbort, probeTimeout);
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      const connection = await raceSignal(
+        compat.dial(libp2p, net.formatMultiaddr({ peerId: id }), {
+          signal: controller.signal,
+        }),
+        controller.signal
+      );
+      if (await canHop(connection, { signal: controller.signal })) {
+        relays.push(id);
+      }
+    } catch (err) {
+      //Relays failing to answer are skipped
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", onAbort);
+    }
+  };
+
+  await Promise.all(candidates.map(probe));
+
+  if (signal.aborted) {
+    throw new AbortError();
+  }
+
+  return relays;
+}
+
+//Whether route failed to dial its first peer, according to the errors of dialing routes
+function isUnreachable(route, errors) {
+  return errors.some(
+    (err) =>
+      err.libp2pCode === "ERR_LIBP2P_DIAL_FAILED" &&
+      err.address === String(route.multiaddr)
+  );
+}
+
+function flattenErrors(err) {
+  return err.errors || [err];
+}
+
+/**
+ * Dial routes, reaching their first peer through relays from the peer store when it can't be dialed directly.
+ * The relay used for a route is cached and dialed first the next time, until it fails or PATH_TTL elapses.
+ * @param {*} libp2p libp2p instance
+ * @param {Array<Object>} routes [{ multiaddr, hops, proto }] in order of preference
+ * @param {Function} dial dials routes like dialRoutes, resolving { connection, stream, release, route }
+ * @param {Object} options options from normalizeAutoRelayOptions, options.blockList and options.signal
+ * @returns {Promise<Object>} dialed routes with relayPath, the peer ids from the relay to the exit node or null
+ */
+async function dialAutoRelay(libp2p, routes, dial, options) {
+  const { signal } = options;
+  const entries = getPaths(libp2p);
+
+  const done = (dialed) => {
+    const relayed = relayedRoutes.get(dialed.route);
+    if (!relayed) return { ...dialed, relayPath: null };
+
+    entries.set(pathKey(relayed.route), {
+      relay: relayed.relay,
+      expires: Date.now() + PATH_TTL,
+    });
+    return { ...dialed, relayPath: [relayed.relay, ...dialed.route.hops] };
+  };
+
+  //Cached relays are dialed first, and forgotten if they fail
+  const cached = routes
+    .map((route) => getCachedRoute(libp2p, route))
+    .filter(Boolean);
+
+  if (cached.length) {
+    try {
+      return done(await dial(cached));
+    } catch (err) {
+      if (signal.aborted) throw err;
+      cached.forEach((route) =>
+        entries.delete(pathKey(relayedRoutes.get(route).route))
+      );
+    }
+  }
+
+  let directError;
+  try {
+    return done(await dial(routes));
+  } catch (err) {
+    if (signal.aborted) throw err;
+    directError = err;
+  }
+
+  //Only peers that can't be dialed can be relayed to, which needs their peer id
+  const unreachable = routes.filter(
+    (route) =>
+      net.parseMultiaddr(route.multiaddr).peerId &&
+      isUnreachable(route, flattenErrors(directError))
+  );
+  if (!unreachable.length) throw directError;
+
+  const exclude = new Set([compat.peerIdToString(libp2p.peerId)]);
+  unreachable.forEach((route) =>
+    exclude.add(net.parseMultiaddr(route.multiaddr).peerId)
+  );
+
+  const relays = await findRelays(libp2p, exclude, options);
+
+  const relayed = [];
+  unreachable.forEach((route) => {
+    relays
+      .filter((relay) => !route.hops.includes(relay))
+      .forEach((relay) => relayed.push(relayRoute(route, relay)));
+  });
+  if (!relayed.length) throw directError;
+
+  try {
+    return done(await dial(relayed));
+  } catch (err) {
+    if (signal.aborted) throw err;
+    throw new NodeAggregateError(
+      [...flattenErrors(directError), ...flattenErrors(err)],
+      "Failed to connect to any route"
+    );
+  }
+}
+
+module.exports = {
+  dialAutoRelay,
+  normalizeAutoRelayOptions,
+};
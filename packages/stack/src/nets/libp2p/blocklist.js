@@ -0,0 +1,119 @@
+const { ERR_INVALID_ARG_TYPE } = require("../../utils").errors.codes;
+const compat = require("./compat");
+
+function isProtocol(address) {
+  return address.startsWith("/x/");
+}
+
+function isMultiaddr(address) {
+  return address.startsWith("/");
+}
+
+//Whether prefix matches whole components at the start of address
+function hasPrefix(address, prefix) {
+  prefix = prefix.replace(/\/+$/, "");
+  return (
+    address === prefix ||
+    (address.startsWith(prefix) && address[prefix.length] === "/")
+  );
+}
+
+function validateAddress(address, name = "address") {
+  if (address && typeof address.toString === "function") {
+    address = compat.isPeerIdObject(address)
+      ? compat.peerIdToString(address)
+      : String(address);
+  }
+
+  if (typeof address !== "string") {
+    throw new ERR_INVALID_ARG_TYPE(name, ["string", "PeerId"], address);
+  }
+
+  return address;
+}
+
+/**
+ * Like net.BlockList but for peer ids, multiaddress prefixes and protocols
+ */
+class BlockList {
+  constructor() {
+    this._peers = new Set();
+    this._multiaddrs = new Set();
+    this._protocols = new Set();
+  }
+
+  /**
+   * Block a peer id, multiaddress prefix or /x/ protocol
+   * @param {string} address peer id, multiaddress prefix like /ip4/1.2.3.4 or protocol like /x/ssh
+   */
+  addAddress(address) {
+    address = validateAddress(address);
+
+    if (isProtocol(address)) {
+      this.addProtocol(address);
+    } else if (isMultiaddr(address)) {
+      this.addMultiaddr(address);
+    } else {
+      this.addPeer(address);
+    }
+  }
+
+  addPeer(peerId) {
+    this._peers.add(validateAddress(peerId, "peerId"));
+  }
+
+  addMultiaddr(prefix) {
+    this._multiaddrs.add(validateAddress(prefix, "prefix"));
+  }
+
+  addProtocol(proto) {
+    this._protocols.add(validateAddress(proto, "proto"));
+  }
+
+  /**
+   * Whether a peer id, multiaddress or protocol is blocked.
+   * Multiaddresses are also blocked by any peer id they contain
+   * @param {string} address peer id, multiaddress or protocol
+   * @returns {boolean}
+   */
+  check(address) {
+    return !!this.rule(validateAddress(address));
+  }
+
+  /**
+   * The rule blocking an address
+   * @param {string} address peer id, multiaddress or protocol
+   * @returns {string} blocking rule or undefined if not blocked
+   */
+  rule(address) {
+    address = String(address);
+
+    if (isProtocol(address)) {
+      return this._protocols.has(address) ? `Protocol: ${address}` : undefined;
+    }
+
+    if (!isMultiaddr(address)) {
+      return this._peers.has(address) ? `Peer: ${address}` : undefined;
+    }
+
+    for (const prefix of this._multiaddrs) {
+      if (hasPrefix(address, prefix)) return `Multiaddr: ${prefix}`;
+    }
+
+    const peers = address.match(/\/(p2p|ipfs)\/[^/]+/g) || [];
+    for (const peer of peers) {
+      const peerId = peer.split("/")[2];
+      if (this._peers.has(peerId)) return `Peer: ${peerId}`;
+    }
+  }
+
+  get rules() {
+    return [
+      ...[...this._peers].map((peerId) => `Peer: ${peerId}`),
+      ...[...this._multiaddrs].map((prefix) => `Multiaddr: ${prefix}`),
+      ...[...this._protocols].map((proto) => `Protocol: ${proto}`),
+    ];
+  }
+}
+
+module.exports = BlockList;
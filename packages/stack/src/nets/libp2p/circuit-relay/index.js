@@ -1,43 +1,289 @@
 const StreamHandler = require("./stream-handler.js");
 const CircuitPB = require("./circuit-pb.js");
-const PeerId = require("peer-id");
+const { HopMessage, Status } = require("./circuit-v2-pb.js");
 const { Multiaddr } = require("multiaddr");
 const toConnection = require("libp2p-utils/src/stream-to-ma-conn.js");
+const compat = require("../compat");
+const { closeStream } = require("../../duplex/internals");
+const { libp2pException, AbortError } = require("../../../utils").errors;
 
 const PROTOCOL = "/libp2p/circuit/relay/0.1.0";
-module.exports = async function getCircuitRelay(
-  libp2p,
-  connection,
-  destinationId
-) {
-  const { stream } = await connection.newStream(PROTOCOL);
-  const destinationPeer = PeerId.createFromCID(destinationId);
+const HOP_PROTOCOL_V2 = "/libp2p/circuit/relay/0.2.0/hop";
+
+//System error codes a native socket would emit for each v1 and v2 status
+const STATUS_ERROR_CODES = {
+  HOP_SRC_ADDR_TOO_LONG: "EINVAL",
+  HOP_DST_ADDR_TOO_LONG: "EINVAL",
+  HOP_SRC_MULTIADDR_INVALID: "EINVAL",
+  HOP_DST_MULTIADDR_INVALID: "EINVAL",
+  HOP_NO_CONN_TO_DST: "EHOSTUNREACH",
+  HOP_CANT_DIAL_DST: "EHOSTUNREACH",
+  HOP_CANT_OPEN_DST_STREAM: "ECONNREFUSED",
+  HOP_CANT_SPEAK_RELAY: "ECONNREFUSED",
+  HOP_CANT_RELAY_TO_SELF: "EINVAL",
+  STOP_SRC_ADDR_TOO_LONG: "EINVAL",
+  STOP_DST_ADDR_TOO_LONG: "EINVAL",
+  STOP_SRC_MULTIADDR_INVALID: "EINVAL",
+  STOP_DST_MULTIADDR_INVALID: "EINVAL",
+  STOP_RELAY_REFUSED: "ECONNREFUSED",
+  RESERVATION_REFUSED: "ECONNREFUSED",
+  RESOURCE_LIMIT_EXCEEDED: "EAGAIN",
+  PERMISSION_DENIED: "EACCES",
+  CONNECTION_FAILED: "EHOSTUNREACH",
+  NO_RESERVATION: "EHOSTUNREACH",
+  MALFORMED_MESSAGE: "EPROTO",
+  UNEXPECTED_MESSAGE: "EPROTO",
+  NO_RESPONSE: "ECONNRESET",
+};
+
+function statusName(statuses, code) {
+  return Object.keys(statuses).find((name) => statuses[name] === code);
+}
 
+/**
+ * Ask relay to connect us to destination using circuit relay v1
+ * @param {*} libp2p libp2p instance
+ * @param {*} stream stream to the relay speaking PROTOCOL
+ * @param {string} destinationId peer id of the destination
+ * @returns {*} relayed { stream } or { status } name if refused
+ */
+async function hopV1(libp2p, stream, destinationId) {
   const streamHandler = new StreamHandler({ stream });
   streamHandler.write({
     type: CircuitPB.Type.HOP,
     srcPeer: {
-      id: libp2p.peerId.toBytes(),
+      id: compat.peerIdToBytes(libp2p.peerId),
       addrs: [],
     },
     dstPeer: {
-      id: destinationPeer.toBytes(),
-      addrs: [new Multiaddr("/p2p/" + destinationPeer.toB58String()).bytes],
+      id: compat.peerIdToBytes(destinationId),
+      addrs: [new Multiaddr("/p2p/" + destinationId).bytes],
+    },
+  });
+
+  const response = await streamHandler.read();
+  if (!response) {
+    closeStream(stream);
+    return { status: "NO_RESPONSE" };
+  }
+
+  if (response.code !== CircuitPB.Status.SUCCESS) {
+    streamHandler.close();
+    return { status: statusName(CircuitPB.Status, response.code) };
+  }
+
+  return { stream: streamHandler.rest() };
+}
+
+/**
+ * Ask relay to connect us to destination using circuit relay v2.
+ * Destination must hold a reservation with the relay.
+ * @param {*} libp2p libp2p instance
+ * @param {*} stream stream to the relay speaking HOP_PROTOCOL_V2
+ * @param {string} destinationId peer id of the destination
+ * @returns {*} relayed { stream, limit } or { status } name if refused
+ */
+async function hopV2(libp2p, stream, destinationId) {
+  const streamHandler = new StreamHandler({ stream, codec: HopMessage });
+  streamHandler.write({
+    type: HopMessage.Type.CONNECT,
+    peer: {
+      id: compat.peerIdToBytes(destinationId),
+      addrs: [],
     },
   });
 
   const response = await streamHandler.read();
-  if (response && response.code === CircuitPB.Status.SUCCESS) {
-    const vStream = streamHandler.rest();
+  if (!response) {
+    closeStream(stream);
+    return { status: "NO_RESPONSE" };
+  }
+
+  if (response.type !== HopMessage.Type.STATUS) {
+    streamHandler.close();
+    return { status: "UNEXPECTED_MESSAGE" };
+  }
+
+  if (response.status !== Status.OK) {
+    streamHandler.close();
+    return { status: statusName(Status, response.status) };
+  }
+
+  return { stream: streamHandler.rest(), limit: response.limit };
+}
+
+/**
+ * Ask the peer of a connection whether it relays connections, using circuit relay v1 CAN_HOP
+ * @param {*} connection connection to the relay
+ * @param {Object} options options.signal aborts the probe and closes the relay stream
+ * @returns {Promise<boolean>} whether the relay answered SUCCESS
+ */
+async function canHop(connection, { signal } = {}) {
+  let stream;
+  try {
+    ({ stream } = await compat.newStream(connection, PROTOCOL, { signal }));
+  } catch (err) {
+    if (signal && signal.aborted) throw new AbortError();
+    return false;
+  }
+
+  const onAbort = () => stream.abort(new AbortError());
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+  const streamHandler = new StreamHandler({ stream });
+  try {
+    streamHandler.write({ type: CircuitPB.Type.CAN_HOP });
+
+    //Reading closes the stream when the relay ends it without answering
+    const response = await streamHandler.read();
+    if (!response) return false;
+
+    streamHandler.close();
+    return response.code === CircuitPB.Status.SUCCESS;
+  } catch (err) {
+    if (signal && signal.aborted) throw new AbortError();
+    return false;
+  } finally {
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Connect to destination through the peer of an existing connection
+ * @param {*} libp2p libp2p instance
+ * @param {*} connection connection to the relay
+ * @param {string} destinationId peer id of the destination
+ * @param {Object} options options.signal aborts the hop and closes the relay stream
+ * @returns {*} upgraded connection to the destination
+ * @throws ERR_LIBP2P_PROTOCOL_NEGOTIATION_FAILED or ERR_LIBP2P_RELAY_FAILED
+ */
+module.exports = async function getCircuitRelay(
+  libp2p,
+  connection,
+  destinationId,
+  { signal } = {}
+) {
+  const relayId = compat.peerIdToString(connection.remotePeer);
+  const context = { peer: relayId, destination: destinationId };
+
+  //Modern libp2p keeps its upgrader internal, so dial the circuit address with its own relay transport
+  if (!compat.canUpgrade(libp2p)) {
+    try {
+      return await compat.dialCircuit(libp2p, connection, destinationId, {
+        signal,
+      });
+    } catch (err) {
+      if (signal && signal.aborted) throw new AbortError();
+      throw libp2pException(
+        "ERR_LIBP2P_RELAY_FAILED",
+        "EHOSTUNREACH",
+        { ...context, status: "CONNECTION_FAILED", cause: err },
+        relayId,
+        destinationId,
+        "CONNECTION_FAILED"
+      );
+    }
+  }
+
+  //Prefer v2 but fall back to v1 relays, whichever the relay speaks
+  let stream, protocol;
+  try {
+    ({ stream, protocol } = await compat.newStream(
+      connection,
+      [HOP_PROTOCOL_V2, PROTOCOL],
+      { signal }
+    ));
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    throw libp2pException(
+      "ERR_LIBP2P_PROTOCOL_NEGOTIATION_FAILED",
+      "ECONNREFUSED",
+      { ...context, cause: err },
+      relayId,
+      `${HOP_PROTOCOL_V2} or ${PROTOCOL}`
+    );
+  }
+
+  //Stop waiting on the relay when aborted
+  const onAbort = () => stream.abort(new AbortError());
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+  let relayed, relayedConnection;
+  try {
+    //Streams reset by the relay or replies failing to decode fail the hop like a refusal
+    try {
+      relayed =
+        protocol === HOP_PROTOCOL_V2
+          ? await hopV2(libp2p, stream, destinationId)
+          : await hopV1(libp2p, stream, destinationId);
+    } catch (err) {
+      if (signal && signal.aborted) throw new AbortError();
+      closeStream(stream);
+      throw libp2pException(
+        "ERR_LIBP2P_RELAY_FAILED",
+        "ECONNRESET",
+        { ...context, status: "HOP_FAILED", cause: err },
+        relayId,
+        destinationId,
+        err.message
+      );
+    }
+
+    if (signal && signal.aborted) {
+      throw new AbortError();
+    }
+
+    if (!relayed.stream) {
+      const status = relayed.status || "UNUSED";
+      throw libp2pException(
+        "ERR_LIBP2P_RELAY_FAILED",
+        STATUS_ERROR_CODES[status] || "ECONNREFUSED",
+        { ...context, status },
+        relayId,
+        destinationId,
+        status
+      );
+    }
+
     const maConn = toConnection({
-      stream: vStream,
+      stream: relayed.stream,
       remoteAddr: connection.remoteAddr.encapsulate(
         `/p2p-circuit/p2p/${destinationId}`
       ),
       localAddr: connection.remoteAddr.encapsulate(
-        `/p2p-circuit/p2p/${libp2p.peerId.toB58String()}`
+        `/p2p-circuit/p2p/${compat.peerIdToString(libp2p.peerId)}`
       ),
     });
-    return await libp2p.upgrader.upgradeOutbound(maConn);
+
+    try {
+      relayedConnection = await compat.upgradeOutbound(libp2p, maConn);
+    } catch (err) {
+      if (signal && signal.aborted) throw new AbortError();
+      throw libp2pException(
+        "ERR_LIBP2P_RELAY_FAILED",
+        "ECONNRESET",
+        { ...context, status: "UPGRADE_FAILED", cause: err },
+        relayId,
+        destinationId,
+        err.message
+      );
+    }
+  } finally {
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+
+  //v2 relays limit duration (seconds) and data (bytes) of relayed connections
+  if (relayed.limit) {
+    relayedConnection.limits = {
+      seconds: relayed.limit.duration,
+      bytes: relayed.limit.data,
+    };
   }
+
+  return relayedConnection;
 };
+
+module.exports.canHop = canHop;
+module.exports.PROTOCOL = PROTOCOL;
+module.exports.HOP_PROTOCOL_V2 = HOP_PROTOCOL_V2;
+module.exports.STATUS_ERROR_CODES = STATUS_ERROR_CODES;
@@ -9,9 +9,11 @@ module.exports = class StreamHandler {
    * @param {object} options
    * @param {*} options.stream - A duplex iterable
    * @param {Number} options.maxLength - max bytes length of message
+   * @param {*} options.codec - protobuf message to encode and decode with
    */
-  constructor({ stream, maxLength = 4096 }) {
+  constructor({ stream, maxLength = 4096, codec = CircuitPB }) {
     this.stream = stream;
+    this.codec = codec;
 
     this.shake = handshake(this.stream);
     this.decoder = decode.fromReader(this.shake.reader, {
@@ -27,7 +29,7 @@ module.exports = class StreamHandler {
   async read() {
     const msg = await this.decoder.next();
     if (msg.value) {
-      const value = CircuitPB.decode(msg.value.slice());
+      const value = this.codec.decode(msg.value.slice());
       return value;
     }
 
@@ -38,10 +40,10 @@ module.exports = class StreamHandler {
   /**
    * Encode and write array of buffers
    *
-   * @param {*} msg An unencoded CircuitRelay protobuf message
+   * @param {*} msg An unencoded protobuf message of the handler's codec
    */
   write(msg) {
-    this.shake.write(encode.single(CircuitPB.encode(msg)));
+    this.shake.write(encode.single(this.codec.encode(msg)));
   }
 
   /**
@@ -0,0 +1,218 @@
+const { Multiaddr } = require("multiaddr");
+const PeerId = require("peer-id");
+
+//API generations of js-libp2p instances:
+//  legacy: up to 0.3x, peer-id PeerIds, connection.newStream resolves { stream, protocol } and libp2p.upgrader is public
+//  modern: 0.40 and later, @libp2p/peer-id PeerIds, connection.newStream resolves the stream and the upgrader is internal
+const LEGACY = "legacy";
+const MODERN = "modern";
+
+//Modern peer ids are tagged with this symbol instead of sharing a class
+const kPeerId = Symbol.for("@libp2p/peer-id");
+
+const generations = new WeakMap();
+
+/**
+ * Detect the API generation of a libp2p instance
+ * @param {*} libp2p libp2p instance
+ * @returns {string} "legacy" or "modern"
+ */
+function getGeneration(libp2p) {
+  if (!generations.has(libp2p)) {
+    const legacy =
+      Boolean(libp2p.upgrader) ||
+      (libp2p.peerId && typeof libp2p.peerId.toB58String === "function");
+    generations.set(libp2p, legacy ? LEGACY : MODERN);
+  }
+
+  return generations.get(libp2p);
+}
+
+//Whether input is a peer id object of either generation
+function isPeerIdObject(input) {
+  return PeerId.isPeerId(input) || Boolean(input && input[kPeerId]);
+}
+
+//Base58 string of a peer id of either generation, strings are returned as is
+function peerIdToString(peerId) {
+  if (typeof peerId === "string") return peerId;
+  return typeof peerId.toB58String === "function"
+    ? peerId.toB58String()
+    : peerId.toString();
+}
+
+//Multihash bytes of a peer id, as sent in circuit relay messages
+function peerIdToBytes(peerId) {
+  return PeerId.createFromB58String(peerIdToString(peerId)).toBytes();
+}
+
+//Addresses libp2p is listening on as strings
+function getMultiaddrs(libp2p) {
+  const multiaddrs =
+    typeof libp2p.getMultiaddrs === "function"
+      ? libp2p.getMultiaddrs()
+      : libp2p.multiaddrs || [];
+  return multiaddrs.map((multiaddr) => multiaddr.toString());
+}
+
+/**
+ * Peers in the peer store of libp2p with the protocols they support
+ * @param {*} libp2p libp2p instance
+ * @returns {Promise<Array<Object>>} [{ id, protocols }] where id is a base58 string
+ */
+async function getPeers(libp2p) {
+  const { peerStore } = libp2p;
+  let peers;
+
+  //0.36 and modern resolve every peer, 0.33 to 0.35 iterate them and older versions keep a map
+  if (typeof peerStore.all === "function") {
+    peers = await peerStore.all();
+  } else if (typeof peerStore.getPeers === "function") {
+    peers = [];
+    for await (const peer of peerStore.getPeers()) peers.push(peer);
+  } else {
+    peers = Array.from(peerStore.peers.values());
+  }
+
+  return peers.map(({ id, protocols }) => ({
+    id: peerIdToString(id),
+    protocols: protocols || [],
+  }));
+}
+
+//js-libp2p 0.40 to 0.46 report "OPEN", other versions "open"
+function isOpen(connection) {
+  const status = connection.stat ? connection.stat.status : connection.status;
+  return !status || String(status).toLowerCase() === "open";
+}
+
+/**
+ * Dial a multiaddress, modern libp2p only dials Multiaddr objects
+ * @param {*} libp2p libp2p instance
+ * @param {string|Multiaddr} multiaddr
+ * @param {Object} options options.signal aborts dialing
+ * @returns {Promise<*>} connection
+ */
+function dial(libp2p, multiaddr, options) {
+  if (getGeneration(libp2p) === MODERN && typeof multiaddr === "string") {
+    multiaddr = new Multiaddr(multiaddr);
+  }
+
+  return libp2p.dial(multiaddr, options);
+}
+
+//Modern streams yield Uint8ArrayLists, which sockets and length-prefixed decoders don't read
+async function* toUint8Arrays(source) {
+  for await (const chunk of source) {
+    yield chunk instanceof Uint8Array ? chunk : chunk.subarray();
+  }
+}
+
+/**
+ * Convert a modern stream to a { sink, source, abort, close } stream yielding Uint8Arrays like legacy streams
+ * @param {*} stream modern libp2p stream
+ * @returns {Object} stream with the original as stream.raw
+ */
+function normalizeStream(stream) {
+  return {
+    source: toUint8Arrays(stream.source),
+    sink: (source) => stream.sink(source),
+    abort: (err) => stream.abort(err),
+    close: () => {
+      //Closing resolves once both sides ended on newer versions
+      const closed = stream.close();
+      if (closed && typeof closed.catch === "function") closed.catch(() => {});
+    },
+    raw: stream,
+  };
+}
+
+/**
+ * Open a stream negotiating one of protocols
+ * @param {*} connection libp2p connection of either generation
+ * @param {string|Array<string>} protocols
+ * @param {Object} options options.signal aborts negotiating
+ * @returns {Promise<Object>} { stream, protocol } like legacy connections
+ */
+async function newStream(connection, protocols, options) {
+  const result = await connection.newStream(protocols, options);
+
+  //Legacy connections resolve { stream, protocol }
+  if (result.stream && !result.sink) return result;
+
+  return {
+    stream: normalizeStream(result),
+    protocol: result.protocol || (result.stat && result.stat.protocol),
+  };
+}
+
+/**
+ * Normalize the argument of a protocol handler
+ * @param {Object} data { connection, stream, protocol } where modern libp2p keeps the protocol on the stream
+ * @returns {Object} { connection, stream, protocol }
+ */
+function normalizeIncomingStream({ connection, stream, protocol }) {
+  //Legacy handlers are passed the protocol
+  if (protocol) return { connection, stream, protocol };
+
+  return {
+    connection,
+    stream: normalizeStream(stream),
+    protocol: stream.protocol || (stream.stat && stream.stat.protocol),
+  };
+}
+
+/**
+ * Upgrade a relayed multiaddr connection, only legacy libp2p exposes its upgrader
+ * @param {*} libp2p libp2p instance
+ * @param {Object} maConn multiaddr connection over the relayed stream
+ * @returns {Promise<*>} connection
+ */
+function upgradeOutbound(libp2p, maConn) {
+  return libp2p.upgrader.upgradeOutbound(maConn);
+}
+
+//Whether circuit relay hops are dialed by this stack, otherwise libp2p dials circuit addresses itself
+function canUpgrade(libp2p) {
+  return getGeneration(libp2p) === LEGACY;
+}
+
+/**
+ * Dial destination through the relay of connection with the circuit relay transport of libp2p
+ * @param {*} libp2p libp2p instance
+ * @param {*} connection connection to the relay
+ * @param {string} destinationId peer id of the destination
+ * @param {Object} options options.signal aborts dialing
+ * @returns {Promise<*>} relayed connection
+ */
+function dialCircuit(libp2p, connection, destinationId, options) {
+  const relayId = peerIdToString(connection.remotePeer);
+  let relayAddr = connection.remoteAddr;
+  if (!relayAddr.toString().endsWith(`/p2p/${relayId}`)) {
+    relayAddr = relayAddr.encapsulate(`/p2p/${relayId}`);
+  }
+
+  return libp2p.dial(
+    relayAddr.encapsulate(`/p2p-circuit/p2p/${destinationId}`),
+    options
+  );
+}
+
+module.exports = {
+  canUpgrade,
+  dial,
+  dialCircuit,
+  getGeneration,
+  getMultiaddrs,
+  getPeers,
+  isOpen,
+  isPeerIdObject,
+  newStream,
+  normalizeIncomingStream,
+  normalizeStream,
+  peerIdToBytes,
+  peerIdToString,
+  upgradeOutbound,
+  LEGACY,
+  MODERN,
+};
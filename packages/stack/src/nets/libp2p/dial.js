@@ -0,0 +1,411 @@
+const getCircuitRelay = require("./circuit-relay");
+const compat = require("./compat");
+const { closeStream } = require("../duplex/internals");
+const { libp2pException, AbortError, NodeAggregateError } =
+  require("../../utils").errors;
+
+/**
+ * Resolve with promise unless signal aborts first
+ * @param {Promise} promise
+ * @param {AbortSignal} signal
+ * @param {Function} cleanup called with the value if it resolves after aborting
+ * @returns {Promise}
+ */
+function raceSignal(promise, signal, cleanup) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new AbortError());
+
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    promise.then(
+      (value) => {
+        signal.removeEventListener("abort", onAbort);
+        if (signal.aborted) {
+          if (cleanup) cleanup(value);
+        } else {
+          resolve(value);
+        }
+      },
+      (err) => {
+        signal.removeEventListener("abort", onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
+function closeConnection(connection) {
+  if (connection) connection.close().catch(() => {});
+}
+
+/**
+ * Connect to the exit node of a route, hopping through each relay
+ * @param {*} libp2p libp2p instance
+ * @param {Object} route { multiaddr, hops }
+ * @param {Object} options options.signal aborts dialing, options.onHop is called with each hop reached
+ * @returns {Promise<Object>} { connection, relayed } where relayed are connections opened for the route
+ */
+async function dialConnection(libp2p, { multiaddr, hops }, options = {}) {
+  const { signal, onHop = () => {} } = options;
+
+  //Relayed connections are only used by this route, so close them on failure
+  const relayed = [];
+
+  try {
+    //Attempt to connect to first node using multiaddress
+    let connection;
+    try {
+      connection = await raceSignal(
+        compat.dial(libp2p, multiaddr, { signal }),
+        signal
+      );
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      throw libp2pException(
+        "ERR_LIBP2P_DIAL_FAILED",
+        err.code === "ERR_TIMEOUT" ? "ETIMEDOUT" : "EHOSTUNREACH",
+        { hop: 0, address: String(multiaddr), cause: err },
+        String(multiaddr)
+      );
+    }
+
+    for (let i = 0; i < hops.length; i++) {
+      onHop(i + 1);
+
+      //Attempt to hop from connection to connection using circuit-relay protocol
+      try {
+        connection = await raceSignal(
+          getCircuitRelay(libp2p, connection, hops[i], { signal }),
+          signal,
+          closeConnection
+        );
+      } catch (err) {
+        err.hop = i + 1;
+        throw err;
+      }
+
+      relayed.push(connection);
+    }
+
+    return { connection, relayed };
+  } catch (err) {
+    relayed.reverse().forEach(closeConnection);
+    throw err;
+  }
+}
+
+/**
+ * Open a stream to proto on the exit node
+ * @param {*} connection connection to the exit node
+ * @param {string} proto protocol to negotiate
+ * @param {Object} options options.signal aborts negotiating, options.hop is the exit node's place in the route
+ * @returns {Promise<*>} stream speaking proto
+ */
+async function openStream(connection, proto, { signal, hop } = {}) {
+  try {
+    const { stream } = await raceSignal(
+      compat.newStream(connection, proto, { signal }),
+      signal,
+      ({ stream }) => closeStream(stream)
+    );
+    return stream;
+  } catch (err) {
+    if (signal && signal.aborted) throw err;
+    const peer = compat.peerIdToString(connection.remotePeer);
+    throw libp2pException(
+      "ERR_LIBP2P_PROTOCOL_NEGOTIATION_FAILED",
+      err.code === "ERR_UNSUPPORTED_PROTOCOL" ? "ECONNREFUSED" : "ECONNRESET",
+      { hop, peer, proto, cause: err },
+      peer,
+      proto
+    );
+  }
+}
+
+function routeKey({ multiaddr, hops }) {
+  return (
+    String(multiaddr) + hops.map((hop) => `/p2p-circuit/p2p/${hop}`).join("")
+  );
+}
+
+/**
+ * Connections to exit nodes shared by every socket using the same route.
+ * Sockets open their own stream on the connection and release it when closed,
+ * relayed connections are closed once released by their last socket.
+ */
+class ConnectionCache {
+  constructor(libp2p) {
+    this.libp2p = libp2p;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get or dial the connection to the exit node of a route
+   * @param {Object} route { multiaddr, hops }
+   * @param {Object} options options.signal stops waiting on the connection, options.onHop is called with each hop reached
+   * @returns {Promise<Object>} { connection, release }
+   */
+  async acquire(route, { signal, onHop = () => {} } = {}) {
+    const key = routeKey(route);
+    let entry = this.entries.get(key);
+
+    if (entry && entry.connection && !compat.isOpen(entry.connection)) {
+      this.entries.delete(key);
+      entry = null;
+    }
+
+    if (!entry) {
+      entry = this._dial(key, route);
+    }
+
+    entry.waiters++;
+    entry.onHop.add(onHop);
+    onHop(entry.hop);
+
+    try {
+      const connection = await raceSignal(entry.promise, signal);
+      entry.refs++;
+
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        entry.refs--;
+        this._evictIfUnused(entry);
+      };
+
+      return { connection, release };
+    } finally {
+      entry.waiters--;
+      entry.onHop.delete(onHop);
+      this._evictIfUnused(entry);
+    }
+  }
+
+  _dial(key, route) {
+    const entry = {
+      key,
+      hop: 0,
+      refs: 0,
+      waiters: 0,
+      onHop: new Set(),
+      controller: new AbortController(),
+      connection: null,
+      relayed: [],
+    };
+
+    const onHop = (hop) => {
+      entry.hop = hop;
+      entry.onHop.forEach((listener) => listener(hop));
+    };
+
+    entry.promise = dialConnection(this.libp2p, route, {
+      signal: entry.controller.signal,
+      onHop,
+    }).then(
+      ({ connection, relayed }) => {
+        entry.connection = connection;
+        entry.relayed = relayed;
+        return connection;
+      },
+      (err) => {
+        if (this.entries.get(key) === entry) this.entries.delete(key);
+        throw err;
+      }
+    );
+
+    //Waiters handle errors, avoid unhandled rejections if every waiter aborted
+    entry.promise.catch(() => {});
+
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  _evictIfUnused(entry) {
+    if (entry.refs || entry.waiters) return;
+
+    if (this.entries.get(entry.key) === entry) {
+      this.entries.delete(entry.key);
+    }
+
+    //Stop dialing if nobody is waiting anymore, or close relayed connections
+    entry.controller.abort();
+    entry.relayed.reverse().forEach(closeConnection);
+    entry.relayed = [];
+  }
+}
+
+const caches = new WeakMap();
+
+function getConnectionCache(libp2p) {
+  let cache = caches.get(libp2p);
+  if (!cache) {
+    cache = new ConnectionCache(libp2p);
+    caches.set(libp2p, cache);
+  }
+  return cache;
+}
+
+/**
+ * Throw if a peer, multiaddress or protocol of a route is blocked
+ * @param {BlockList} blockList
+ * @param {Object} route { multiaddr, hops, proto }
+ * @throws ERR_LIBP2P_BLOCKED
+ */
+function checkRoute(blockList, { multiaddr, hops, proto }) {
+  const addresses = [String(multiaddr), ...hops, proto];
+
+  for (let hop = 0; hop < addresses.length; hop++) {
+    const address = addresses[hop];
+    const rule = blockList.rule(address);
+
+    if (rule) {
+      throw libp2pException(
+        "ERR_LIBP2P_BLOCKED",
+        "EACCES",
+        { hop: Math.min(hop, hops.length), address, rule },
+        address
+      );
+    }
+  }
+}
+
+/**
+ * Open a stream to proto on the exit node of a route, reusing connections to it
+ * @param {*} libp2p libp2p instance
+ * @param {Object} route { multiaddr, hops, proto }
+ * @param {Object} options options.signal aborts dialing, options.onHop is called with each hop reached,
+ *  options.blockList refuses blocked peers, addresses and protocols
+ * @returns {Promise<Object>} { connection, stream, release } where release must be called once the stream is closed
+ */
+async function dialRoute(libp2p, route, options = {}) {
+  if (options.blockList) {
+    checkRoute(options.blockList, route);
+  }
+
+  const { connection, release } = await getConnectionCache(libp2p).acquire(
+    route,
+    options
+  );
+
+  try {
+    const stream = await openStream(connection, route.proto, {
+      signal: options.signal,
+      hop: route.hops.length,
+    });
+    return { connection, stream, release };
+  } catch (err) {
+    release();
+    throw err;
+  }
+}
+
+/**
+ * Open a stream on the first of several routes to negotiate its protocol, like happy eyeballs.
+ * Routes are attempted in order, each starting once the previous fails or options.attemptDelay elapses.
+ * @param {*} libp2p libp2p instance
+ * @param {Array<Object>} routes [{ multiaddr, hops, proto }] in order of preference
+ * @param {Object} options options.signal aborts every attempt, options.onHop is called with each hop and route reached,
+ *  options.attemptDelay is in milliseconds and other options are passed to dialRoute
+ * @returns {Promise<Object>} { connection, stream, release, route } of the winning route
+ */
+function dialRoutes(libp2p, routes, options = {}) {
+  const { signal, onHop, attemptDelay = 250 } = options;
+
+  return new Promise((resolve, reject) => {
+    const controllers = [];
+    const errors = [];
+    let next = 0;
+    let pending = 0;
+    let done = false;
+    let timer = null;
+
+    const finish = () => {
+      done = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    };
+
+    const onAbort = () => {
+      finish();
+      controllers.forEach((controller) => controller.abort());
+      reject(new AbortError());
+    };
+
+    const attempt = () => {
+      clearTimeout(timer);
+      if (done || next >= routes.length) return;
+
+      const index = next++;
+      const route = routes[index];
+      const controller = new AbortController();
+      controllers[index] = controller;
+      pending++;
+
+      dialRoute(libp2p, route, {
+        ...options,
+        signal: controller.signal,
+        onHop: onHop && ((hop) => onHop(hop, route)),
+      }).then(
+        (result) => {
+          pending--;
+
+          //Lost the race after the winner was picked
+          if (done) {
+            closeStream(result.stream);
+            result.release();
+            return;
+          }
+
+          finish();
+          controllers.forEach((other, i) => i !== index && other.abort());
+          resolve({ ...result, route });
+        },
+        (err) => {
+          pending--;
+          if (done) return;
+
+          errors.push(err);
+          if (next < routes.length) {
+            attempt();
+          } else if (!pending) {
+            finish();
+            reject(
+              errors.length === 1
+                ? errors[0]
+                : new NodeAggregateError(
+                    errors,
+                    "Failed to connect to any route"
+                  )
+            );
+          }
+        }
+      );
+
+      if (next < routes.length) timer = setTimeout(attempt, attemptDelay);
+    };
+
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    attempt();
+  });
+}
+
+module.exports = {
+  checkRoute,
+  dialConnection,
+  dialRoute,
+  dialRoutes,
+  getConnectionCache,
+  openStream,
+  raceSignal,
+};
@@ -0,0 +1,182 @@
+const { CID } = require("multiformats/cid");
+const { sha256 } = require("multiformats/hashes/sha2");
+const raw = require("multiformats/codecs/raw");
+const compat = require("./compat");
+const { ERR_INVALID_ARG_VALUE, ERR_LIBP2P_NO_CONTENT_ROUTING } =
+  require("../../utils").errors.codes;
+const { AbortError } = require("../../utils").errors;
+const { getTimerDuration, setUnrefTimeout } = require("../../utils").timers;
+const { validateFunction, validateInteger } = require("../../utils").validators;
+
+//Provider records of exit nodes are keyed by the hash of this prefix followed by the protocol
+const EXIT_NAMESPACE = "/network-stackify/exit";
+
+//DHT provider records expire after a day, so exits provide them again well before
+const DEFAULT_REPROVIDE_INTERVAL = 12 * 60 * 60 * 1000;
+const DEFAULT_MAX_EXITS = 20;
+
+function validateProto(proto, name) {
+  if (typeof proto !== "string" || proto[0] !== "/") {
+    throw new ERR_INVALID_ARG_VALUE(
+      name,
+      proto,
+      "must be a protocol id like /x/name"
+    );
+  }
+}
+
+/**
+ * Content id exit nodes of a protocol provide
+ * @param {string} proto protocol like /x/httpGoogle
+ * @returns {Promise<CID>} CIDv1 of the raw sha256 hash of the namespaced protocol
+ */
+async function getExitCid(proto) {
+  validateProto(proto, "proto");
+
+  const digest = await sha256.digest(
+    new TextEncoder().encode(EXIT_NAMESPACE + proto)
+  );
+  return CID.create(1, raw.code, digest);
+}
+
+function getContentRouting(libp2p) {
+  if (!libp2p || !libp2p.contentRouting) {
+    throw new ERR_LIBP2P_NO_CONTENT_ROUTING();
+  }
+  return libp2p.contentRouting;
+}
+
+/**
+ * Advertise libp2p as an exit node for proto by providing its content id, again every options.interval
+ * @param {*} libp2p libp2p instance handling proto, e.g. with net.createForwarder
+ * @param {string} proto protocol like /x/httpGoogle
+ * @param {Object} options options.interval in milliseconds, options.signal stops advertising and
+ *  options.onError is called with errors providing again, which is retried next interval
+ * @returns {Promise<Object>} { cid, stop } once provided, rejecting if the first provide fails
+ */
+async function advertiseExit(libp2p, proto, options = {}) {
+  const { signal, onError } = options;
+  const interval = getTimerDuration(
+    options.interval === undefined
+      ? DEFAULT_REPROVIDE_INTERVAL
+      : options.interval,
+    "options.interval"
+  );
+  if (onError !== undefined) validateFunction(onError, "options.onError");
+
+  const contentRouting = getContentRouting(libp2p);
+  const cid = await getExitCid(proto);
+
+  await contentRouting.provide(cid, { signal });
+
+  let timer = null;
+  let stopped = false;
+
+  const stop = () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", stop);
+  };
+
+  const schedule = () => {
+    if (stopped || !interval) return;
+
+    timer = setUnrefTimeout(async () => {
+      try {
+        await contentRouting.provide(cid, { signal });
+      } catch (err) {
+        if (!stopped && onError) onError(err);
+      }
+      schedule();
+    }, interval);
+  };
+
+  if (signal) {
+    if (signal.aborted) stop();
+    else signal.addEventListener("abort", stop, { once: true });
+  }
+
+  schedule();
+  return { cid, stop };
+}
+
+/**
+ * Find exit nodes advertising proto, as routes for net.connect
+ * @param {*} libp2p libp2p instance
+ * @param {string} proto protocol like /x/httpGoogle
+ * @param {Object} options options.maxExits stops searching once found, options.timeout in milliseconds
+ *  stops searching with the exits found so far, options.signal aborts searching
+ * @returns {Promise<Array<Object>>} [{ multiaddr, proto, peerId, multiaddrs }] where multiaddr dials the peer id
+ */
+async function findExits(libp2p, proto, options = {}) {
+  const { signal, timeout, maxExits = DEFAULT_MAX_EXITS } = options;
+  validateInteger(maxExits, "options.maxExits", 1);
+
+  const contentRouting = getContentRouting(libp2p);
+  const cid = await getExitCid(proto);
+  const self = compat.peerIdToString(libp2p.peerId);
+
+  //Abort searching once options.signal aborts or options.timeout elapses
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+  }
+
+  let timedOut = false;
+  const timer =
+    timeout &&
+    setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, getTimerDuration(timeout, "options.timeout"));
+
+  const exits = [];
+  const seen = new Set([self]);
+
+  try {
+    const providers = contentRouting.findProviders(cid, {
+      signal: controller.signal,
+      timeout,
+      maxNumProviders: maxExits,
+    });
+
+    for await (const provider of providers) {
+      const peerId = compat.peerIdToString(provider.id);
+      if (seen.has(peerId)) continue;
+      seen.add(peerId);
+
+      exits.push({
+        multiaddr: `/p2p/${peerId}`,
+        proto,
+        peerId,
+        multiaddrs: (provider.multiaddrs || []).map(String),
+      });
+
+      if (exits.length >= maxExits || controller.signal.aborted) break;
+    }
+  } catch (err) {
+    //Routers without providers fail rather than finding none
+    if (!timedOut && err.code !== "ERR_NOT_FOUND") {
+      throw signal && signal.aborted ? new AbortError() : err;
+    }
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+
+  if (signal && signal.aborted) {
+    throw new AbortError();
+  }
+
+  return exits;
+}
+
+module.exports = {
+  advertiseExit,
+  findExits,
+  getExitCid,
+  EXIT_NAMESPACE,
+};
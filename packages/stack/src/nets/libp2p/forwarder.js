@@ -0,0 +1,165 @@
+const { Multiaddr } = require("multiaddr");
+const BlockList = require("./blocklist");
+const { ERR_INVALID_ARG_TYPE, ERR_INVALID_ARG_VALUE, ERR_MISSING_OPTION } =
+  require("../../utils").errors.codes;
+const { validateInteger } = require("../../utils").validators;
+
+/**
+ * Resolve the TCP address of a forwarder's target or a tunnel's listener
+ * @param {string|number|Object} target multiaddress like /dns4/google.com/tcp/80, tcp://host:port, host:port, a port or { host, port } or { path }
+ * @param {string} name name of the option in errors
+ * @param {number} minPort 0 to allow any port of listeners
+ * @returns {Object} { host, port } or { path } options for createConnection or listen
+ */
+function parseTarget(target, name, minPort = 1) {
+  if (target === undefined || target === null) {
+    throw new ERR_MISSING_OPTION(name);
+  }
+
+  if (typeof target === "number") {
+    target = { port: target };
+  } else if (typeof target === "string" || Multiaddr.isMultiaddr(target)) {
+    const address = String(target).replace(/^tcp:\/\//, "");
+
+    if (address.startsWith("/unix/")) {
+      target = { path: decodeURIComponent(address.slice("/unix".length)) };
+    } else if (address.startsWith("/")) {
+      let multiaddr;
+      try {
+        multiaddr = new Multiaddr(address);
+        if (multiaddr.toOptions().transport !== "tcp") multiaddr = null;
+      } catch (err) {
+        multiaddr = null;
+      }
+
+      if (!multiaddr) {
+        throw new ERR_INVALID_ARG_VALUE(
+          name,
+          target,
+          "must be a TCP multiaddress like /dns4/<host>/tcp/<port>"
+        );
+      }
+
+      const { address: host, port } = multiaddr.nodeAddress();
+      target = { host, port };
+    } else {
+      const match = /^\[?([^\]]*?)\]?:(\d+)$/.exec(address);
+      if (!match) {
+        throw new ERR_INVALID_ARG_VALUE(name, target, "must be host:port");
+      }
+      target = { host: match[1], port: Number(match[2]) };
+    }
+  } else if (typeof target !== "object") {
+    throw new ERR_INVALID_ARG_TYPE(
+      name,
+      ["string", "number", "Multiaddr", "Object"],
+      target
+    );
+  }
+
+  if (target.path !== undefined) {
+    return { path: target.path };
+  }
+
+  validateInteger(target.port, `${name}.port`, minPort, 65535);
+  return { host: target.host || "localhost", port: target.port };
+}
+
+/**
+ * Normalize the peers allowed to use a forwarder
+ * @param {Array<string>|BlockList} allow peer ids and multiaddress prefixes, or a BlockList of them
+ * @param {string} name name of the option in errors
+ * @returns {BlockList} null when every peer is allowed
+ */
+function toAllowList(allow, name) {
+  if (allow === undefined || allow === null) return null;
+  if (allow instanceof BlockList) return allow;
+
+  if (!Array.isArray(allow)) {
+    throw new ERR_INVALID_ARG_TYPE(name, ["Array", "BlockList"], allow);
+  }
+
+  const allowList = new BlockList();
+  allow.forEach((address) => allowList.addAddress(address));
+  return allowList;
+}
+
+/**
+ * Whether the remote peer of a connection may use a forwarder.
+ * Peers must be listed themselves or connect from an allowed multiaddress prefix, relays don't allow the peers they relay.
+ * @param {BlockList} allowList
+ * @param {*} connection libp2p connection of the stream
+ * @returns {boolean}
+ */
+function isAllowed(allowList, connection) {
+  if (allowList.check(connection.remotePeer)) return true;
+
+  const rule = allowList.rule(String(connection.remoteAddr));
+  return Boolean(rule && rule.startsWith("Multiaddr:"));
+}
+
+/**
+ * Pipe a libp2p socket and a native socket both ways, closing both once either fails or the connection idles
+ * @param {Socket} socket libp2p socket
+ * @param {Socket} other socket to the forwarder's target or from the tunnel's client
+ * @param {Object} options options.stats totals to update, options.idleTimeout in milliseconds and
+ *  options.onClose called with the connection's info once both sockets closed
+ * @returns {Object} info { bytesIn, bytesOut, timedOut, error } where bytesIn are read from libp2p
+ */
+function pipeSockets(socket, other, { stats, idleTimeout, onClose }) {
+  const info = { bytesIn: 0, bytesOut: 0, timedOut: false, error: null };
+
+  stats.connections++;
+  stats.active++;
+
+  socket.on("data", (chunk) => {
+    info.bytesIn += chunk.length;
+    stats.bytesIn += chunk.length;
+  });
+  other.on("data", (chunk) => {
+    info.bytesOut += chunk.length;
+    stats.bytesOut += chunk.length;
+  });
+
+  socket.pipe(other);
+  other.pipe(socket);
+
+  //Either side failing closes both
+  const onError = (err) => {
+    if (err && !info.error) {
+      info.error = err;
+      stats.errors++;
+    }
+    socket.destroy();
+    other.destroy();
+  };
+  socket.on("error", onError);
+  other.on("error", onError);
+
+  //Socket timeouts are reset by reading or writing, so by traffic in either direction
+  if (idleTimeout) {
+    socket.setTimeout(idleTimeout);
+    socket.on("timeout", () => {
+      info.timedOut = true;
+      onError();
+    });
+  }
+
+  let open = 2;
+  const closed = () => {
+    if (--open) return;
+    stats.active--;
+    onClose(info);
+  };
+  socket.once("close", closed);
+  other.once("close", closed);
+
+  return info;
+}
+
+module.exports = {
+  isAllowed,
+  pipeSockets,
+  parseTarget,
+  toAllowList,
+};
@@ -1,165 +1,517 @@
-const { Duplex } = require("stream");
-const getIterator = require("get-iterator");
-const Fifo = require("p-fifo");
-const { Buffer } = require("buffer");
-const END_CHUNK = Buffer.alloc(0);
-
-const buffer = require("it-buffer");
-const getCircuitRelay = require("./circuit-relay");
+const EventEmitter = require("events");
+const duplex = require("../duplex");
+const { closeStream, kConnectAbort, kRelease } = require("../duplex/internals");
+const { dialRoutes } = require("./dial");
+const { dialAutoRelay, normalizeAutoRelayOptions } = require("./auto-relay");
+const { pingConnection } = require("./ping");
+const compat = require("./compat");
+const {
+  createReconnectingStream,
+  normalizeReconnectPolicy,
+} = require("./reconnect");
+const BlockList = require("./blocklist");
+const { advertiseExit, findExits, getExitCid } = require("./discovery");
+const {
+  isAllowed,
+  parseTarget,
+  pipeSockets,
+  toAllowList,
+} = require("./forwarder");
 const net = require("./internals");
+const { ERR_INVALID_ARG_VALUE, ERR_MISSING_OPTION } =
+  require("../../utils").errors.codes;
+const { libp2pException, AbortError, connResetException } =
+  require("../../utils").errors;
+const { getTimerDuration, setUnrefTimeout } = require("../../utils").timers;
+const { validateFunction, validateInteger } = require("../../utils").validators;
+
+//Options used by every socket when not passed to the constructor or connect
+const defaultOptions = {};
+
+//Idle time before pinging the peer when setKeepAlive has no initialDelay
+const DEFAULT_KEEP_ALIVE_DELAY = 15 * 1000;
+//Failed pings are retried this many times, this far apart, before the socket is reset
+const KEEP_ALIVE_PROBES = 3;
+const KEEP_ALIVE_INTERVAL = 1000;
+const KEEP_ALIVE_TIMEOUT = 10 * 1000;
+//Round trip times kept in socket.rttSamples
+const MAX_RTT_SAMPLES = 16;
+
+const kKeepAlive = Symbol("keepAlive");
+const kLastActive = Symbol("lastActive");
+const kReconnect = Symbol("reconnect");
 
 /**
- * Convert async iterator stream to socket
- * @param {Object} options options.stream: required to convert to a socket
+ * Convert a libp2p stream to a socket, or dial one with connect
+ * @param {Object} options options.stream: required to convert to a socket,
+ *  options.connection and options.proto: libp2p connection and protocol of the stream
  * @returns {Socket} socket like class using underlying stream
  */
-class Socket extends Duplex {
+class Socket extends duplex.Socket {
   constructor(options) {
-    options = options || {};
+    const { stream, ...rest } = options || {};
 
-    super(options);
+    super(rest);
 
-    this.reading = false;
-    this.fifo = new Fifo();
+    //Raw libp2p connection to the remote peer, stream and its protocol
+    this.connection = null;
+    this.protocol = null;
 
-    //TODO God willing: Implement required net.Socket convensions, setTimeout
-    this.setTimeout = () => {};
-    this.setNoDelay = () => {};
+    //Route the socket connected through, one of options.routes or a route through a relay found by options.autoRelay
+    this.route = null;
 
-    this.connecting = false;
-  }
+    //Peer ids from the relay found by options.autoRelay to the exit node, null when not relayed automatically
+    this.relayPath = null;
 
-  _write(chunk, enc, cb) {
-    this.fifo.push(chunk).then(() => cb(), cb);
-  }
+    //Round trip times of keep-alive pings in milliseconds, latest last
+    this.rttSamples = [];
+    this[kKeepAlive] = null;
+    this[kLastActive] = Date.now();
+    this[kReconnect] = null;
 
-  _final(cb) {
-    this.fifo.push(END_CHUNK).then(() => cb(), cb);
-  }
+    if (rest.keepAlive) {
+      this.setKeepAlive(true, rest.keepAliveInitialDelay);
+    }
 
-  async _read(size) {
-    if (this.connecting || !this.duplex) {
-      this.once("connect", () => this._read(size));
-      return;
+    if (stream) {
+      this._setupStream(stream, options.connection, options.proto);
     }
+  }
+
+  async internalConnect(options) {
+    const { signal } = options;
+
+    //Abort dialing when destroyed or options.signal aborts
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
 
-    if (this.reading) return;
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort, { once: true });
+    }
 
-    this.reading = true;
+    this[kConnectAbort] = onAbort;
 
+    let dialed;
     try {
-      while (true) {
-        //TODO God willing: if no duplex, then not connected yet, so either wait to read or return nothing.
-        const { value, done } = await this.duplex.source.next(size);
-        if (done) return this.push(null);
-        if (!this.push(value)) break;
-      }
-    } catch (err) {
-      this.emit("error", err);
+      dialed = await this._dial(options, options.routes, controller.signal);
     } finally {
-      this.reading = false;
+      if (signal) signal.removeEventListener("abort", onAbort);
+      this[kConnectAbort] = null;
     }
-  }
 
-  async internalConnect({ libp2p, multiaddr, proto, hops }) {
-    if (!libp2p) {
-      throw new Error("Invalid arguments. 'options.libp2p' is required");
+    //Destroyed while the dial settled, the cached connection must not keep this socket's reference
+    if (controller.signal.aborted || this.destroyed) {
+      closeStream(dialed.stream);
+      dialed.release();
+      throw new AbortError();
     }
 
-    if (!multiaddr) {
-      throw new Error("Invalid arguments. 'options.multiaddr' is required");
-    }
+    const { connection, route } = dialed;
+    let { stream, release } = dialed;
 
-    if (!proto) {
-      throw new Error("Invalid arguments. 'options.proto' is required");
+    if (options.reconnect) {
+      stream = this._createReconnectingStream(dialed, options);
+      release = () => stream.release();
     }
 
-    hops = typeof hops === "string" ? [hops] : hops || [];
+    this[kRelease] = release;
+    this.connecting = false;
+    this.route = route;
+    this.relayPath = dialed.relayPath || null;
+    this._setupStream(stream, connection, route.proto);
+    this.emit("connect");
+  }
 
-    //Attempt to connect to first node using multiaddress
-    let connection = await libp2p.dial(multiaddr);
+  /**
+   * Open a stream on the first of routes to connect
+   * @param {Object} options normalized connect options
+   * @param {Array<Object>} routes routes to dial in order of preference
+   * @param {AbortSignal} signal aborts dialing
+   * @returns {Promise<Object>} { connection, stream, route, release, relayPath }, rejecting with ETIMEDOUT after options.connectTimeout
+   */
+  async _dial(options, routes, signal) {
+    const { libp2p, connectTimeout, routeAttemptDelay, blockList, autoRelay } =
+      options;
+
+    const controller = new AbortController();
+    let abortError;
+    let hop = 0;
+    let hopRoute = routes[0];
+
+    const abort = (err) => {
+      if (controller.signal.aborted) return;
+      abortError = err;
+      controller.abort();
+    };
 
-    for (let i = 0; i < hops.length; i++) {
-      //Attempt to hop from connection to connection using circuit-relay protocol
-      connection = await getCircuitRelay(libp2p, connection, hops[i]);
+    const onAbort = () => abort(new AbortError());
+
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort, { once: true });
     }
 
-    //Attempt to connect to protocol on "exit node"
-    const { stream } = connection && (await connection.newStream(proto));
+    const timer =
+      connectTimeout &&
+      setTimeout(() => {
+        abort(
+          libp2pException(
+            "ERR_LIBP2P_CONNECT_TIMEOUT",
+            "ETIMEDOUT",
+            { hop },
+            String(hopRoute.multiaddr),
+            connectTimeout
+          )
+        );
+      }, getTimerDuration(connectTimeout, "options.connectTimeout"));
+
+    const dial = (candidates) =>
+      dialRoutes(libp2p, candidates, {
+        signal: controller.signal,
+        onHop: (current, currentRoute) => {
+          hop = current;
+          hopRoute = currentRoute;
+        },
+        attemptDelay: routeAttemptDelay,
+        blockList,
+      });
 
-    if (!stream) {
-      //TODO God willing: replicate net.connect/createConnection errors and warnings
-      throw new Error("Failed to connect to remote");
+    try {
+      if (!autoRelay) return await dial(routes);
+      return await dialAutoRelay(libp2p, routes, dial, {
+        ...autoRelay,
+        blockList,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      throw abortError || err;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", onAbort);
     }
+  }
 
-    const duplex = {
-      sink: stream.sink,
-      source: stream.source ? getIterator(buffer(stream.source)) : null,
-    };
+  //Keep the socket open across failed streams, redialing the current route first, then the others in order
+  _createReconnectingStream(dialed, options) {
+    const stream = createReconnectingStream(dialed, {
+      policy: options.reconnect,
+      dial: (signal) => {
+        const { routes } = options;
+        const index = Math.max(routes.indexOf(this.route), 0);
+        return this._dial(
+          options,
+          [...routes.slice(index), ...routes.slice(0, index)],
+          signal
+        );
+      },
+      onReconnecting: (info) => this.emit("reconnecting", info),
+      onReconnect: ({ connection, route, relayPath }, attempts) => {
+        this.connection = connection;
+        this.protocol = route.proto;
+        this.route = route;
+        this.relayPath = relayPath || null;
+        if (this[kKeepAlive]) this[kKeepAlive].failures = 0;
+        this._scheduleKeepAlive();
+        this.emit("reconnect", { attempts, route });
+      },
+      onGiveUp: (err) => this.destroy(err),
+    });
+
+    this[kReconnect] = stream;
+    return stream;
+  }
 
-    if (duplex.sink) {
-      const self = this;
+  //State of reconnecting sockets: { reconnecting, attempt, delay, error, reconnects, bufferedBytes }, null otherwise
+  get reconnectState() {
+    return this[kReconnect] ? { ...this[kReconnect].state } : null;
+  }
 
-      duplex.sink({
-        [Symbol.asyncIterator]() {
-          return this;
-        },
-        async next() {
-          const chunk = await self.fifo.shift();
-          return chunk === END_CHUNK ? { done: true } : { value: chunk };
-        },
-        async throw(err) {
-          self.destroy(err);
-          return { done: true };
-        },
-        async return() {
-          self.destroy();
-          return { done: true };
-        },
+  _normalizeConnectOptions(options) {
+    return normalizeConnectOptions({ ...defaultOptions, ...options });
+  }
+
+  /**
+   * Attach a libp2p stream to this socket
+   * @param {Object} stream duplex iterable with sink and source
+   * @param {Object} connection libp2p connection the stream belongs to
+   * @param {string} protocol negotiated protocol of the stream
+   */
+  _setupStream(stream, connection, protocol) {
+    this.connection = connection || null;
+    this.protocol = protocol || null;
+    super._setupStream(stream);
+    this._scheduleKeepAlive();
+  }
+
+  /**
+   * Ping the remote peer once the socket is idle for initialDelay, resetting the socket if it stops answering
+   * @param {boolean} enable
+   * @param {number} initialDelay idle milliseconds before pinging, 15 seconds if 0
+   * @returns {Socket}
+   */
+  setKeepAlive(enable = false, initialDelay = 0) {
+    if (this.destroyed) return this;
+
+    initialDelay = getTimerDuration(initialDelay, "initialDelay");
+
+    if (this[kKeepAlive]) clearTimeout(this[kKeepAlive].timer);
+    this[kKeepAlive] = enable
+      ? {
+          delay: initialDelay || DEFAULT_KEEP_ALIVE_DELAY,
+          failures: 0,
+          timer: null,
+        }
+      : null;
+
+    this._scheduleKeepAlive();
+    return this;
+  }
+
+  //Latest round trip time of a keep-alive ping in milliseconds
+  get rtt() {
+    return this.rttSamples[this.rttSamples.length - 1];
+  }
+
+  _unrefTimer() {
+    this[kLastActive] = Date.now();
+    super._unrefTimer();
+  }
+
+  //Ping once idle for the keep-alive delay, failed pings are retried sooner
+  _scheduleKeepAlive() {
+    const keepAlive = this[kKeepAlive];
+    if (!keepAlive || !this.connection || this.destroyed) return;
+
+    clearTimeout(keepAlive.timer);
+
+    //Reconnecting sockets ping again once they have a new stream
+    if (this[kReconnect] && this[kReconnect].state.reconnecting) return;
+
+    const wait = keepAlive.failures
+      ? KEEP_ALIVE_INTERVAL
+      : this[kLastActive] + keepAlive.delay - Date.now();
+
+    keepAlive.timer = setUnrefTimeout(() => {
+      keepAlive.timer = null;
+      if (
+        keepAlive.failures ||
+        Date.now() - this[kLastActive] >= keepAlive.delay
+      ) {
+        this._keepAlive(keepAlive);
+      } else {
+        this._scheduleKeepAlive();
+      }
+    }, Math.max(wait, 0));
+  }
+
+  async _keepAlive(keepAlive) {
+    let rtt;
+    try {
+      rtt = await pingConnection(this.connection, {
+        timeout: KEEP_ALIVE_TIMEOUT,
       });
+    } catch (err) {
+      if (this[kKeepAlive] !== keepAlive || this.destroyed) return;
+
+      if (++keepAlive.failures > KEEP_ALIVE_PROBES) {
+        const ex = connResetException("Keep-alive pings failed");
+        ex.cause = err;
+        if (this[kReconnect]) this[kReconnect].fail(ex);
+        else this.destroy(ex);
+      } else {
+        this._scheduleKeepAlive();
+      }
+      return;
     }
 
-    this.duplex = duplex;
-    this.emit("connect");
+    if (this[kKeepAlive] !== keepAlive || this.destroyed) return;
+
+    this.rttSamples.push(rtt);
+    if (this.rttSamples.length > MAX_RTT_SAMPLES) this.rttSamples.shift();
+
+    keepAlive.failures = 0;
+    this[kLastActive] = Date.now();
+    this._scheduleKeepAlive();
   }
 
-  get readyState() {
-    if (this.connecting) {
-      return "opening";
-    } else if (this.readable && this.writable) {
-      return "open";
-    } else if (this.readable && !this.writable) {
-      return "readOnly";
-    } else if (!this.readable && this.writable) {
-      return "writeOnly";
-    }
-    return "closed";
+  _destroy(err, cb) {
+    if (this[kKeepAlive]) clearTimeout(this[kKeepAlive].timer);
+    this[kKeepAlive] = null;
+    super._destroy(err, cb);
   }
 
-  connect(...args) {
-    let normalized;
-    // If passed an array, it's treated as an array of arguments that have
-    // already been normalized (so we don't normalize more than once). This has
-    // been solved before in https://github.com/nodejs/node/pull/12342, but was
-    // reverted as it had unintended side effects.
-    if (Array.isArray(args[0]) && args[0][net.normalizedArgsSymbol]) {
-      normalized = args[0];
-    } else {
-      normalized = net._normalizeArgs(args);
-    }
+  //Peer ids stand in for IP addresses and protocols for ports
+  get remoteAddress() {
+    return this.connection
+      ? compat.peerIdToString(this.connection.remotePeer)
+      : undefined;
+  }
+
+  get remoteFamily() {
+    return this.connection ? "libp2p" : undefined;
+  }
+
+  get remotePort() {
+    return this.connection ? this.protocol : undefined;
+  }
+
+  //Full address of the remote peer, including circuit relay hops
+  get remoteMultiaddr() {
+    if (!this.connection) return undefined;
+
+    const remoteAddr = String(this.connection.remoteAddr);
+    const remotePeer = this.remoteAddress;
+    return remoteAddr.endsWith(`/p2p/${remotePeer}`)
+      ? remoteAddr
+      : `${remoteAddr}/p2p/${remotePeer}`;
+  }
+
+  get localAddress() {
+    return this.connection && this.connection.localPeer
+      ? compat.peerIdToString(this.connection.localPeer)
+      : undefined;
+  }
+
+  get localPort() {
+    return this.connection ? this.protocol : undefined;
+  }
 
-    const options = normalized[0];
-    const cb = normalized[1];
+  address() {
+    if (!this.connection) return {};
 
-    if (cb !== null) {
-      this.once("connect", cb);
+    return {
+      address: this.localAddress,
+      family: "libp2p",
+      port: this.protocol,
+    };
+  }
+}
+
+/**
+ * Validate a route and resolve its full multiaddress
+ * @param {Object} route { multiaddr, hops, proto }, where multiaddr can be a full address, a peer id or passed as route.path
+ * @param {string} name name of the route in errors, like options or options.routes[0]
+ * @returns {Object} { multiaddr, hops, proto }
+ */
+function normalizeRoute(route, name) {
+  let { multiaddr, hops, proto } = route;
+
+  let multiaddrName = `${name}.multiaddr`;
+  if (multiaddr === undefined || multiaddr === null) {
+    if (route.path === undefined) throw new ERR_MISSING_OPTION(multiaddrName);
+    multiaddrName = `${name}.path`;
+    multiaddr = route.path;
+  }
+
+  //Peer ids are dialed directly, like /p2p/QmA
+  if (net.isPeerId(multiaddr)) {
+    multiaddr = net.formatMultiaddr({ peerId: multiaddr });
+  }
+
+  const parsed = net.parseMultiaddr(multiaddr);
+  if (!parsed || (!parsed.transport && !parsed.peerId)) {
+    throw new ERR_INVALID_ARG_VALUE(
+      multiaddrName,
+      multiaddr,
+      "must be a multiaddress or peer id"
+    );
+  }
+
+  //Hops and protocol in the address take precedence over route.hops and route.proto
+  if (!parsed.hops.length && hops !== undefined && hops !== null) {
+    hops = Array.isArray(hops) ? hops : [hops];
+    if (!hops.every((hop) => net.isPeerId(hop))) {
+      throw new ERR_INVALID_ARG_VALUE(
+        `${name}.hops`,
+        route.hops,
+        "must be a peer id or an array of peer ids"
+      );
     }
+  } else {
+    hops = parsed.hops;
+  }
 
-    //TODO God willing: parse hops and protocols from multiaddress
-    this.internalConnect(options);
+  proto = parsed.proto || proto;
+  if (!proto) {
+    throw new ERR_MISSING_OPTION(`${name}.proto`);
+  }
+  if (typeof proto !== "string" || proto[0] !== "/") {
+    throw new ERR_INVALID_ARG_VALUE(
+      `${name}.proto`,
+      proto,
+      "must be a protocol id like /x/name"
+    );
+  }
 
-    return this;
+  return {
+    multiaddr: net.formatMultiaddr({
+      transport: parsed.transport,
+      peerId: parsed.peerId,
+    }),
+    hops: hops.map((hop) => compat.peerIdToString(hop)),
+    proto,
+  };
+}
+
+/**
+ * Validate connect options and resolve the routes to dial
+ * @param {Object} options socket and connect options, either a single route or options.routes
+ * @returns {Object} options with options.routes resolved
+ */
+function normalizeConnectOptions(options) {
+  const { libp2p, routeAttemptDelay } = options;
+  let { routes } = options;
+
+  if (!libp2p) {
+    throw new ERR_MISSING_OPTION("options.libp2p");
   }
+
+  if (routeAttemptDelay !== undefined) {
+    validateInteger(routeAttemptDelay, "options.routeAttemptDelay", 0);
+  }
+
+  if (routes === undefined || routes === null) {
+    routes = [normalizeRoute(options, "options")];
+  } else if (Array.isArray(routes) && routes.length) {
+    //Routes can be full addresses and default to options.proto
+    routes = routes.map((route, i) => {
+      route =
+        typeof route === "object" &&
+        !net.isMultiaddr(route) &&
+        !net.isPeerId(route)
+          ? route
+          : { multiaddr: route };
+      return normalizeRoute(
+        { ...route, proto: route.proto || options.proto },
+        `options.routes[${i}]`
+      );
+    });
+  } else {
+    throw new ERR_INVALID_ARG_VALUE(
+      "options.routes",
+      routes,
+      "must be a non-empty array of routes"
+    );
+  }
+
+  return {
+    ...options,
+    routes,
+    reconnect: normalizeReconnectPolicy(options.reconnect, "options.reconnect"),
+    autoRelay: normalizeAutoRelayOptions(
+      options.autoRelay,
+      "options.autoRelay"
+    ),
+  };
+}
+
+/**
+ * Set options used by sockets when not passed to net.connect, like options.libp2p
+ * @param {Object} options default socket and connect options
+ */
+function setDefaultOptions(options) {
+  Object.assign(defaultOptions, options);
 }
 
 /**
@@ -171,21 +523,319 @@ class Socket extends Duplex {
 function connect(...args) {
   const normalized = net._normalizeArgs(args);
   const [options] = normalized;
+  const socket = new Socket(options);
 
   if (options.timeout) {
     socket.setTimeout(options.timeout);
   }
 
-  const socket = new Socket(options);
   return socket.connect(normalized);
 }
 
-//TODO God willing: add similar isIP, isIPv4/6 types for multiaddresses and hops
-//TODO God willing: blocklist and Server could be useful.
+/**
+ * Accept libp2p streams for a protocol as sockets
+ * @param {Object} options options.libp2p and options.proto can be passed to listen
+ * @param {Function} connectionListener listener for the 'connection' event
+ * @returns {Server} server like class handling an underlying libp2p protocol
+ */
+class Server extends duplex.Server {
+  _listen(options) {
+    if (!options.libp2p) {
+      throw new ERR_MISSING_OPTION("options.libp2p");
+    }
+
+    if (!options.proto) {
+      throw new ERR_MISSING_OPTION("options.proto");
+    }
+
+    const { libp2p, proto } = options;
+    const handler = this._onStream.bind(this);
+
+    //Modern libp2p resolves once the handler is registered, failing like a native listen
+    return {
+      libp2p,
+      proto,
+      handler,
+      options,
+      ready: Promise.resolve(libp2p.handle(proto, handler)),
+      close: () => {
+        Promise.resolve(libp2p.unhandle(proto)).catch((err) =>
+          this.emit("error", err)
+        );
+      },
+    };
+  }
+
+  _onStream(data) {
+    const { connection, stream, protocol } =
+      compat.normalizeIncomingStream(data);
+
+    //Refuse blocked peers, including those relaying the connection, with the options passed to listen
+    const { blockList } = this._handle ? this._handle.options : this._options;
+    if (
+      blockList &&
+      (blockList.check(connection.remotePeer) ||
+        blockList.check(connection.remoteAddr) ||
+        blockList.check(protocol))
+    ) {
+      this._refuse(stream);
+      return;
+    }
+
+    this._accept(
+      stream,
+      { connection, proto: protocol },
+      { remotePeer: connection.remotePeer, protocol }
+    );
+  }
+
+  _createSocket(options) {
+    return new Socket(options);
+  }
+
+  address() {
+    if (!this._handle) return null;
+
+    const { libp2p, proto } = this._handle;
+    return {
+      address: compat.peerIdToString(libp2p.peerId),
+      multiaddrs: compat.getMultiaddrs(libp2p),
+      proto,
+    };
+  }
+}
+
+function createServer(options, connectionListener) {
+  return new Server(options, connectionListener);
+}
+
+/**
+ * Forward streams of a protocol to a TCP target, like ipfs p2p listen
+ * @param {Object} options options.libp2p, options.proto and options.target: multiaddress, host:port or connect options,
+ *  options.allow, options.maxConnections, options.idleTimeout and options.createConnection
+ * @param {Function} forwardListener listener for the 'forward' event
+ * @returns {Forwarder} server forwarding each connection
+ */
+class Forwarder extends Server {
+  constructor(options = {}, forwardListener) {
+    const {
+      target,
+      allow,
+      maxConnections,
+      idleTimeout = 0,
+      createConnection = require("net").createConnection,
+      ...rest
+    } = options;
+
+    //Each direction ends separately, like the connection to the target
+    super({ ...rest, allowHalfOpen: true });
+
+    this.target = parseTarget(target, "options.target");
+    this._allow = toAllowList(allow, "options.allow");
+
+    validateFunction(createConnection, "options.createConnection");
+    this._createConnection = createConnection;
+
+    if (maxConnections !== undefined) {
+      validateInteger(maxConnections, "options.maxConnections", 0);
+      this.maxConnections = maxConnections;
+    }
+
+    this.idleTimeout = getTimerDuration(idleTimeout, "options.idleTimeout");
+
+    //Totals of every forwarded connection, bytesIn are from peers to the target
+    this.stats = {
+      connections: 0,
+      active: 0,
+      refused: 0,
+      dropped: 0,
+      errors: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+    };
+
+    this.on("drop", () => this.stats.dropped++);
+    this.on("connection", (socket) => this._forward(socket));
+
+    if (typeof forwardListener === "function") {
+      this.on("forward", forwardListener);
+    }
+  }
+
+  //Refuse peers missing from options.allow
+  _onStream(data) {
+    if (this._allow && !isAllowed(this._allow, data.connection)) {
+      const { connection, stream, protocol } =
+        compat.normalizeIncomingStream(data);
+
+      this.stats.refused++;
+      this.emit("refuse", {
+        remotePeer: compat.peerIdToString(connection.remotePeer),
+        protocol,
+      });
+      this._refuse(stream);
+      return;
+    }
+
+    super._onStream(data);
+  }
+
+  _forward(socket) {
+    const target = this._createConnection({
+      ...this.target,
+      allowHalfOpen: true,
+    });
+
+    const info = pipeSockets(socket, target, {
+      stats: this.stats,
+      idleTimeout: this.idleTimeout,
+      onClose: (info) => this.emit("forwardEnd", info),
+    });
+    info.remotePeer = socket.remoteAddress;
+    info.protocol = socket.protocol;
+
+    target.once("connect", () => this.emit("forward", socket, target));
+  }
+}
+
+/**
+ * Forward streams of a protocol to a TCP target, like ipfs p2p listen
+ * @param {Object} options options.libp2p, options.proto and options.target, see Forwarder
+ * @param {Function} forwardListener listener for the 'forward' event
+ * @returns {Forwarder} listening forwarder
+ */
+function createForwarder(options, forwardListener) {
+  return new Forwarder(options, forwardListener).listen();
+}
+
+/**
+ * Forward connections accepted by a local TCP server through libp2p, like ipfs p2p forward
+ * @param {Object} options options.listen: tcp://host:port, multiaddress, port or listen options, libp2p connect options
+ *  like options.libp2p, options.multiaddr, options.hops, options.proto or options.routes for each connection,
+ *  options.maxConnections, options.idleTimeout and options.createServer
+ * @param {Function} forwardListener listener for the 'forward' event
+ * @returns {Tunnel} tunnel like a net server
+ */
+class Tunnel extends EventEmitter {
+  constructor(options = {}, forwardListener) {
+    super();
+
+    const {
+      listen,
+      maxConnections,
+      idleTimeout = 0,
+      createServer = require("net").createServer,
+      ...connectOptions
+    } = options;
+
+    this.listenOptions = parseTarget(listen, "options.listen", 0);
+
+    //Invalid routes throw here rather than for each connection
+    normalizeConnectOptions({ ...defaultOptions, ...connectOptions });
+    this._connectOptions = connectOptions;
+
+    this.idleTimeout = getTimerDuration(idleTimeout, "options.idleTimeout");
+
+    //Totals of every tunnelled connection, bytesIn are read from libp2p
+    this.stats = {
+      connections: 0,
+      active: 0,
+      dropped: 0,
+      errors: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+    };
+
+    validateFunction(createServer, "options.createServer");
+    this._server = createServer({ allowHalfOpen: true }, (local) =>
+      this._forward(local)
+    );
+
+    if (maxConnections !== undefined) {
+      validateInteger(maxConnections, "options.maxConnections", 0);
+      this._server.maxConnections = maxConnections;
+    }
+
+    this._server.on("drop", (data) => {
+      this.stats.dropped++;
+      this.emit("drop", data);
+    });
+    for (const event of ["listening", "close", "error"]) {
+      this._server.on(event, (...args) => this.emit(event, ...args));
+    }
+
+    if (typeof forwardListener === "function") {
+      this.on("forward", forwardListener);
+    }
+  }
+
+  get listening() {
+    return this._server.listening;
+  }
+
+  listen(cb) {
+    this._server.listen(this.listenOptions, cb);
+    return this;
+  }
+
+  address() {
+    return this._server.address();
+  }
+
+  getConnections(cb) {
+    this._server.getConnections(cb);
+    return this;
+  }
+
+  close(cb) {
+    this._server.close(cb);
+    return this;
+  }
+
+  _forward(local) {
+    const socket = connect({ ...this._connectOptions, allowHalfOpen: true });
+
+    const info = pipeSockets(socket, local, {
+      stats: this.stats,
+      idleTimeout: this.idleTimeout,
+      onClose: (info) => this.emit("forwardEnd", info),
+    });
+    info.remoteAddress = local.remoteAddress;
+    info.remotePort = local.remotePort;
+
+    socket.once("connect", () => {
+      info.remotePeer = socket.remoteAddress;
+      info.route = socket.route;
+      this.emit("forward", local, socket);
+    });
+  }
+}
+
+/**
+ * Forward connections accepted by a local TCP server through libp2p, like ipfs p2p forward
+ * @param {Object} options options.listen and libp2p connect options, see Tunnel
+ * @param {Function} forwardListener listener for the 'forward' event
+ * @returns {Tunnel} listening tunnel
+ */
+function createTunnel(options, forwardListener) {
+  return new Tunnel(options, forwardListener).listen();
+}
+
 module.exports = {
+  advertiseExit,
+  BlockList,
   connect,
   createConnection: connect,
+  createForwarder,
+  createServer,
+  createTunnel,
+  findExits,
+  Forwarder,
+  getExitCid,
+  Server,
   Socket,
   Stream: Socket,
+  Tunnel,
+  setDefaultOptions,
   ...net,
 };
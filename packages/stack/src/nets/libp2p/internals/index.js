@@ -1,66 +1,121 @@
-exports.normalizedArgsSymbol = Symbol("normalizedArgs");
-
-// Returns an array [options, cb], where options is an object,
-// cb is either a function or null.
-// Used to normalize arguments of Socket.prototype.connect() and
-// Server.prototype.listen(). Possible combinations of parameters:
-//   (options[...][, cb])
-//   (path[...][, cb])
-//   ([port][, host][...][, cb])
-// For Socket.prototype.connect(), the [...] part is ignored
-// For Server.prototype.listen(), the [...] part is [, backlog]
-// but will not be handled here (handled in listen())
-exports._normalizeArgs = function normalizeArgs(args) {
-  let arr;
-
-  if (args.length === 0) {
-    arr = [{}, null];
-    arr[exports.normalizedArgsSymbol] = true;
-    return arr;
-  }
+const { Multiaddr, protocols } = require("multiaddr");
+const PeerId = require("peer-id");
+const compat = require("../compat");
 
-  const arg0 = args[0];
-  let options = {};
-  if (typeof arg0 === "object" && arg0 !== null) {
-    // (options[...][, cb])
-    options = arg0;
-  } else if (isPipeName(arg0)) {
-    // (path[...][, cb])
-    options.path = arg0;
-  } else {
-    // ([port][, host][...][, cb])
-    options.port = arg0;
-    if (args.length > 1 && typeof args[1] === "string") {
-      options.host = args[1];
-    }
+const P2P_CODE = protocols("p2p").code;
+
+const {
+  normalizedArgsSymbol,
+  _normalizeArgs,
+  isIP,
+  isIPv4,
+  isIPv6,
+} = require("../../duplex/internals");
+
+Object.assign(exports, {
+  normalizedArgsSymbol,
+  _normalizeArgs,
+  isIP,
+  isIPv4,
+  isIPv6,
+});
+
+// Returns true if input is a PeerId or a base58 encoded peer id like Qm... or 12D3Koo...
+exports.isPeerId = function (input) {
+  if (compat.isPeerIdObject(input)) return true;
+  if (typeof input !== "string") return false;
+
+  try {
+    PeerId.createFromB58String(input);
+    return true;
+  } catch (err) {
+    return false;
   }
+};
 
-  const cb = args[args.length - 1];
-  if (typeof cb !== "function") arr = [options, null];
-  else arr = [options, cb];
+// Returns true if input is a Multiaddr or a full libp2p address string, see parseMultiaddr
+exports.isMultiaddr = function (input) {
+  return Multiaddr.isMultiaddr(input) || exports.parseMultiaddr(input) !== null;
+};
 
-  arr[exports.normalizedArgsSymbol] = true;
-  return arr;
+// Returns true if input is an address reached through circuit relay hops
+exports.isCircuitAddr = function (input) {
+  const parsed = exports.parseMultiaddr(input);
+  return parsed !== null && parsed.hops.length > 0;
 };
 
-exports.isIP = function (input) {
-  if (exports.isIPv4(input)) {
-    return 4;
-  } else if (exports.isIPv6(input)) {
-    return 6;
-  } else {
-    return 0;
+// Returns { transport, peerId, hops, proto } parsed from a full libp2p address, e.g.
+//   /dns4/relay/tcp/4003/ws/p2p/QmA/p2p-circuit/p2p/QmB/x/httpGoogle
+// where transport is the transport stack of the first peer (/dns4/relay/tcp/4003/ws),
+// peerId is that peer (QmA), hops are the peer ids reached by circuit relay ([QmB])
+// and proto is the protocol on the exit node (/x/httpGoogle).
+// transport, peerId and proto are undefined when missing from the address.
+// Returns null if the address isn't a valid multiaddress, like http paths.
+exports.parseMultiaddr = function parseMultiaddr(address) {
+  if (Multiaddr.isMultiaddr(address)) address = address.toString();
+  if (typeof address !== "string" || address[0] !== "/") return null;
+
+  //The protocol follows the last peer id, so hosts named x like /dns4/x aren't mistaken for it
+  const peerIds = Array.from(address.matchAll(/\/(?:p2p|ipfs)\/[^/]+/g));
+  const lastPeerId = peerIds[peerIds.length - 1];
+  const protoStart = lastPeerId ? lastPeerId.index + lastPeerId[0].length : 0;
+
+  let proto;
+  const protoIndex = address.indexOf("/x/", protoStart);
+  if (protoIndex !== -1) {
+    proto = address.slice(protoIndex);
+    address = address.slice(0, protoIndex);
+    if (proto.length === 3) return null;
   }
-};
 
-exports.isIPv4 = function (input) {
-  return /^(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/.test(
-    input
-  );
+  const [first, ...circuits] = address.split("/p2p-circuit");
+
+  let transport, peerId;
+  if (first) {
+    let multiaddr;
+    try {
+      multiaddr = new Multiaddr(first);
+    } catch (err) {
+      return null;
+    }
+
+    const codes = multiaddr.protoCodes();
+    if (codes[codes.length - 1] === P2P_CODE) {
+      peerId = multiaddr.getPeerId();
+      if (!exports.isPeerId(peerId)) return null;
+      multiaddr = multiaddr.decapsulateCode(P2P_CODE);
+    }
+
+    transport = multiaddr.toString();
+    if (transport === "/") transport = undefined;
+  }
+
+  const hops = [];
+  for (let i = 0; i < circuits.length; i++) {
+    const hop = /^\/(p2p|ipfs)\/([^/]+)$/.exec(circuits[i]);
+    if (!hop || !exports.isPeerId(hop[2])) return null;
+    hops.push(hop[2]);
+  }
+
+  if (!transport && !peerId && !hops.length) return null;
+
+  return { transport, peerId, hops, proto };
 };
 
-exports.isIPv6 = function (input) {
-  return /^(([0-9A-Fa-f]{1,4}:){7}([0-9A-Fa-f]{1,4}|:))|(([0-9A-Fa-f]{1,4}:){6}(:[0-9A-Fa-f]{1,4}|((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3})|:))|(([0-9A-Fa-f]{1,4}:){5}(((:[0-9A-Fa-f]{1,4}){1,2})|:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3})|:))|(([0-9A-Fa-f]{1,4}:){4}(((:[0-9A-Fa-f]{1,4}){1,3})|((:[0-9A-Fa-f]{1,4})?:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(([0-9A-Fa-f]{1,4}:){3}(((:[0-9A-Fa-f]{1,4}){1,4})|((:[0-9A-Fa-f]{1,4}){0,2}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(([0-9A-Fa-f]{1,4}:){2}(((:[0-9A-Fa-f]{1,4}){1,5})|((:[0-9A-Fa-f]{1,4}){0,3}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(([0-9A-Fa-f]{1,4}:){1}(((:[0-9A-Fa-f]{1,4}){1,6})|((:[0-9A-Fa-f]{1,4}){0,4}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))|(:(((:[0-9A-Fa-f]{1,4}){1,7})|((:[0-9A-Fa-f]{1,4}){0,5}:((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}))|:))$/.test(
-    input
+// Returns the full libp2p address of { transport, peerId, hops, proto }, reversing parseMultiaddr
+exports.formatMultiaddr = function formatMultiaddr({
+  transport,
+  peerId,
+  hops = [],
+  proto,
+}) {
+  const toB58String = (id) =>
+    compat.isPeerIdObject(id) ? compat.peerIdToString(id) : id;
+
+  return (
+    (transport ? String(transport) : "") +
+    (peerId ? `/p2p/${toB58String(peerId)}` : "") +
+    hops.map((hop) => `/p2p-circuit/p2p/${toB58String(hop)}`).join("") +
+    (proto || "")
   );
 };
@@ -0,0 +1,128 @@
+const { Buffer } = require("buffer");
+const { closeStream } = require("../duplex/internals");
+const compat = require("./compat");
+const { connResetException, AbortError } = require("../../utils").errors;
+
+const PING_PROTOCOL = "/ipfs/ping/1.0.0";
+const PING_LENGTH = 32;
+
+//Pings in flight by connection, shared by sockets on the same connection
+const pending = new WeakMap();
+
+function randomBytes(size) {
+  const bytes = new Uint8Array(size);
+  if (
+    typeof globalThis.crypto !== "undefined" &&
+    globalThis.crypto.getRandomValues
+  ) {
+    globalThis.crypto.getRandomValues(bytes);
+  } else {
+    bytes.set(require("crypto").randomBytes(size));
+  }
+  return bytes;
+}
+
+/**
+ * Ping the remote peer of a connection with the libp2p ping protocol
+ * @param {*} connection libp2p connection
+ * @param {Object} options options.timeout in milliseconds fails the ping, options.signal aborts it
+ * @returns {Promise<number>} round trip time in milliseconds
+ */
+async function ping(connection, options = {}) {
+  const { timeout, signal } = options;
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+  }
+
+  let timedOut = false;
+  const timer =
+    timeout &&
+    setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+
+  let stream;
+  try {
+    ({ stream } = await compat.newStream(connection, PING_PROTOCOL, {
+      signal: controller.signal,
+    }));
+
+    const data = randomBytes(PING_LENGTH);
+    const start = Date.now();
+
+    //Send one ping and end our side, the peer echoes it back
+    const sent = stream.sink(
+      (async function* () {
+        yield data;
+      })()
+    );
+    const received = [];
+    let length = 0;
+
+    const onAbortRead = new Promise((resolve, reject) => {
+      controller.signal.addEventListener("abort", () =>
+        reject(new AbortError())
+      );
+    });
+
+    const read = (async () => {
+      for await (const chunk of stream.source) {
+        const bytes = chunk.slice();
+        received.push(bytes);
+        length += bytes.length;
+        if (length >= PING_LENGTH) break;
+      }
+    })();
+
+    await Promise.race([Promise.all([sent, read]), onAbortRead]);
+
+    if (
+      !Buffer.from(data).equals(
+        Buffer.concat(received).subarray(0, PING_LENGTH)
+      )
+    ) {
+      throw connResetException("Ping response did not match");
+    }
+
+    return Date.now() - start;
+  } catch (err) {
+    if (timedOut) {
+      const ex = connResetException(`Ping timed out after ${timeout}ms`);
+      ex.code = "ETIMEDOUT";
+      throw ex;
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", onAbort);
+    if (stream) closeStream(stream);
+  }
+}
+
+/**
+ * Ping a connection's peer, sharing the ping in flight with other callers
+ * @param {*} connection libp2p connection
+ * @param {Object} options options.timeout in milliseconds
+ * @returns {Promise<number>} round trip time in milliseconds
+ */
+function pingConnection(connection, options = {}) {
+  if (!pending.has(connection)) {
+    const promise = ping(connection, options).finally(() =>
+      pending.delete(connection)
+    );
+    pending.set(connection, promise);
+  }
+
+  return pending.get(connection);
+}
+
+module.exports = {
+  ping,
+  pingConnection,
+  PING_PROTOCOL,
+};
@@ -0,0 +1,304 @@
+const { closeStream } = require("../duplex/internals");
+const { ERR_INVALID_ARG_TYPE, ERR_INVALID_ARG_VALUE } =
+  require("../../utils").errors.codes;
+const { AbortError } = require("../../utils").errors;
+const { validateFunction, validateInteger, validateNumber } =
+  require("../../utils").validators;
+
+//Reconnect policy used by options.reconnect: true, or for missing options
+const DEFAULT_POLICY = {
+  retries: 10,
+  minDelay: 1000,
+  maxDelay: 30 * 1000,
+  factor: 2,
+  maxBufferSize: 1024 * 1024,
+  shouldReconnect: null,
+};
+
+/**
+ * Validate options.reconnect
+ * @param {boolean|Object} reconnect true or { retries, minDelay, maxDelay, factor, maxBufferSize, shouldReconnect }
+ * @param {string} name name of the option in errors
+ * @returns {Object|null} the full policy, null when disabled
+ */
+function normalizeReconnectPolicy(reconnect, name) {
+  if (!reconnect) return null;
+  if (reconnect === true) return { ...DEFAULT_POLICY };
+
+  if (typeof reconnect !== "object") {
+    throw new ERR_INVALID_ARG_TYPE(name, ["boolean", "Object"], reconnect);
+  }
+
+  const policy = { ...DEFAULT_POLICY };
+  for (const key of Object.keys(DEFAULT_POLICY)) {
+    if (reconnect[key] !== undefined) policy[key] = reconnect[key];
+  }
+
+  if (policy.retries !== Infinity) {
+    validateInteger(policy.retries, `${name}.retries`, 0);
+  }
+  validateInteger(policy.minDelay, `${name}.minDelay`, 0);
+  validateInteger(policy.maxDelay, `${name}.maxDelay`, policy.minDelay);
+  validateNumber(policy.factor, `${name}.factor`);
+  if (!(policy.factor >= 1)) {
+    throw new ERR_INVALID_ARG_VALUE(
+      `${name}.factor`,
+      policy.factor,
+      "must be at least 1"
+    );
+  }
+  validateInteger(policy.maxBufferSize, `${name}.maxBufferSize`, 0);
+  if (policy.shouldReconnect !== null) {
+    validateFunction(policy.shouldReconnect, `${name}.shouldReconnect`);
+  }
+
+  return policy;
+}
+
+//Resolve after delay milliseconds unless signal aborts first
+function sleep(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError());
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, delay);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Keep a { sink, source } stream over successive libp2p streams, redialing with exponential backoff when one fails.
+ * Writes are taken from the socket up to policy.maxBufferSize while disconnected and sent once reconnected.
+ * @param {Object} dialed { connection, stream, route, release } of the first dial
+ * @param {Object} options options.dial(signal) redials, options.policy from normalizeReconnectPolicy,
+ *  options.onReconnecting({ attempt, delay, error }), options.onReconnect(dialed, attempts) and options.onGiveUp(err)
+ * @returns {Object} { sink, source, abort, release, fail, state }
+ */
+function createReconnectingStream(dialed, options) {
+  const { dial, policy, onReconnecting, onReconnect, onGiveUp } = options;
+
+  let current = dialed;
+  let closed = false;
+  //Aborts the backoff and dial while reconnecting
+  let controller = null;
+
+  //Writes pulled from the socket and not yet handed to a stream
+  const queue = [];
+  let iterator = null;
+  let pulling = false;
+  let writesDone = false;
+
+  const state = {
+    reconnecting: false,
+    attempt: 0,
+    delay: 0,
+    error: null,
+    reconnects: 0,
+    bufferedBytes: 0,
+  };
+
+  //Wake up readers and writers waiting for writes, a new stream or closing
+  let waiters = [];
+  const notify = () => {
+    const resolves = waiters;
+    waiters = [];
+    resolves.forEach((resolve) => resolve());
+  };
+  const changed = () => new Promise((resolve) => waiters.push(resolve));
+
+  //Take the next write from the socket, which completes its previous write
+  function pull() {
+    if (pulling || writesDone || !iterator) return;
+    pulling = true;
+
+    iterator.next().then(({ value, done }) => {
+      pulling = false;
+      if (done) {
+        writesDone = true;
+      } else {
+        queue.push(value);
+        state.bufferedBytes += value.length;
+      }
+      notify();
+
+      //Keep taking writes while disconnected until the buffer is full
+      if (!current && !closed && state.bufferedBytes < policy.maxBufferSize) {
+        pull();
+      }
+    });
+  }
+
+  //Source of the sink of one stream, ending once it's replaced
+  async function* writes(owner) {
+    while (current === owner) {
+      if (queue.length) {
+        const value = queue.shift();
+        state.bufferedBytes -= value.length;
+        yield value;
+      } else if (writesDone) {
+        return;
+      } else {
+        pull();
+        await changed();
+      }
+    }
+  }
+
+  function attach(owner) {
+    const sink = owner.stream.sink(writes(owner));
+    if (sink && typeof sink.catch === "function") {
+      sink.catch((err) => fail(owner, err));
+    }
+  }
+
+  async function* read() {
+    while (!closed) {
+      const owner = current;
+      if (!owner) {
+        await changed();
+        continue;
+      }
+
+      if (!owner.reader) {
+        owner.reader = owner.stream.source[Symbol.asyncIterator]();
+      }
+
+      let result;
+      try {
+        result = await owner.reader.next();
+      } catch (err) {
+        fail(owner, err);
+        continue;
+      }
+
+      //Streams replaced after failing end without ending the socket
+      if (result.done) {
+        if (current !== owner) continue;
+        return;
+      }
+      yield result.value;
+    }
+  }
+
+  function fail(owner, err) {
+    if (closed || !owner || current !== owner) return;
+
+    current = null;
+    closeStream(owner.stream);
+    owner.release();
+    notify();
+    reconnect(err);
+  }
+
+  async function reconnect(err) {
+    Object.assign(state, { reconnecting: true, attempt: 0, error: err });
+    controller = new AbortController();
+    const { signal } = controller;
+    pull();
+
+    let next;
+    while (!next) {
+      state.attempt++;
+
+      if (
+        state.attempt > policy.retries ||
+        (policy.shouldReconnect && !policy.shouldReconnect(err, state.attempt))
+      ) {
+        closed = true;
+        controller = null;
+        state.reconnecting = false;
+        notify();
+        err.reconnectAttempts = state.attempt - 1;
+        onGiveUp(err);
+        return;
+      }
+
+      state.delay = Math.min(
+        policy.maxDelay,
+        policy.minDelay * policy.factor ** (state.attempt - 1)
+      );
+      onReconnecting({
+        attempt: state.attempt,
+        delay: state.delay,
+        error: err,
+      });
+
+      try {
+        await sleep(state.delay, signal);
+        next = await dial(signal);
+      } catch (dialErr) {
+        if (closed) return;
+        err = dialErr;
+        state.error = err;
+      }
+    }
+
+    if (closed) {
+      closeStream(next.stream);
+      next.release();
+      return;
+    }
+
+    const attempts = state.attempt;
+    controller = null;
+    Object.assign(state, {
+      reconnecting: false,
+      attempt: 0,
+      delay: 0,
+      error: null,
+      reconnects: state.reconnects + 1,
+    });
+
+    current = next;
+    attach(next);
+    notify();
+    onReconnect(next, attempts);
+  }
+
+  function stop() {
+    closed = true;
+    if (controller) controller.abort();
+    notify();
+  }
+
+  return {
+    source: read(),
+
+    sink(source) {
+      iterator = source[Symbol.asyncIterator]();
+      if (current) attach(current);
+    },
+
+    //Abort the current stream and stop reconnecting
+    abort() {
+      stop();
+      if (current) closeStream(current.stream);
+    },
+
+    //Release the current connection once the socket is closed
+    release() {
+      stop();
+      if (current) {
+        current.release();
+        current = null;
+      }
+    },
+
+    //Redial as if the current stream failed with err
+    fail(err) {
+      fail(current, err);
+    },
+
+    state,
+  };
+}
+
+module.exports = {
+  createReconnectingStream,
+  normalizeReconnectPolicy,
+  DEFAULT_POLICY,
+};
@@ -0,0 +1,222 @@
+const duplex = require("../duplex");
+const net = require("../duplex/internals");
+const { createPipe, LINK_OPTIONS } = require("./pipe");
+const { ERR_INVALID_ARG_TYPE, ERR_MISSING_OPTION } =
+  require("../../utils").errors.codes;
+const { AbortError } = require("../../utils").errors;
+const { validateInteger } = require("../../utils").validators;
+
+//Listening servers by name, shared by every socket in this realm
+const servers = new Map();
+
+//Ports given to servers listening on port 0 and to connecting sockets
+const EPHEMERAL_PORT_MIN = 49152;
+const EPHEMERAL_PORT_MAX = 65535;
+let nextEphemeralPort = EPHEMERAL_PORT_MIN;
+
+const DEFAULT_HOST = "localhost";
+
+function getEphemeralPort(host) {
+  for (let i = EPHEMERAL_PORT_MIN; i <= EPHEMERAL_PORT_MAX; i++) {
+    const port = nextEphemeralPort;
+    nextEphemeralPort =
+      port === EPHEMERAL_PORT_MAX ? EPHEMERAL_PORT_MIN : port + 1;
+    if (!servers.has(`${host}:${port}`)) return port;
+  }
+
+  throw addressException("EADDRINUSE", "listen", host, 0);
+}
+
+//Errors like those of native sockets, with code, syscall, address and port
+function addressException(code, syscall, address, port) {
+  const ex = new Error(
+    `${syscall} ${code} ${port !== undefined ? `${address}:${port}` : address}`
+  );
+  ex.code = code;
+  ex.syscall = syscall;
+  ex.address = address;
+  if (port !== undefined) ex.port = port;
+  return ex;
+}
+
+/**
+ * Resolve the name of a server, options.path or options.host and options.port
+ * @param {Object} options
+ * @returns {Object} { key, address, port } where key is the name servers are listed by
+ */
+function resolveName(options) {
+  if (options.path !== undefined && options.path !== null) {
+    if (typeof options.path !== "string") {
+      throw new ERR_INVALID_ARG_TYPE("options.path", "string", options.path);
+    }
+    return { key: options.path, address: options.path };
+  }
+
+  const address = options.host || DEFAULT_HOST;
+  const port = options.port === undefined ? 0 : Number(options.port);
+  validateInteger(port, "options.port", 0, EPHEMERAL_PORT_MAX);
+
+  return { key: `${address}:${port}`, address, port };
+}
+
+//Validate the conditions of a direction
+function validateConditions(conditions, name) {
+  for (const key of LINK_OPTIONS) {
+    const value = conditions[key];
+    if (value === undefined) continue;
+
+    if (key === "split" && typeof value === "function") continue;
+    validateInteger(value, `${name}.${key}`, key === "split" ? 1 : 0);
+  }
+}
+
+/**
+ * Connect to the server listening on the options' name, resolving with the client end of a pipe
+ * @param {Object} options normalized connect options with the link conditions
+ * @returns {Promise<Object>} { sink, source, abort, reset } stream with addresses
+ */
+async function dialMemory(options) {
+  const { signal, latency = 0 } = options;
+  const { key, address, port } = resolveName(options);
+
+  //Connecting takes a round trip
+  if (latency) {
+    await new Promise((resolve) => setTimeout(resolve, latency * 2));
+  }
+
+  if (signal && signal.aborted) {
+    throw new AbortError();
+  }
+
+  const server = servers.get(key);
+  if (!server) {
+    throw addressException("ECONNREFUSED", "connect", address, port);
+  }
+
+  const { client, server: accepted } = createPipe(options);
+  const localPort = getEphemeralPort(DEFAULT_HOST);
+
+  Object.assign(client, {
+    remoteAddress: address,
+    remotePort: port,
+    remoteFamily: "memory",
+    localAddress: DEFAULT_HOST,
+    localPort,
+  });
+
+  Object.assign(accepted, {
+    remoteAddress: DEFAULT_HOST,
+    remotePort: localPort,
+    remoteFamily: "memory",
+    localAddress: address,
+    localPort: port,
+  });
+
+  server._accept(
+    accepted,
+    {},
+    { remoteAddress: DEFAULT_HOST, remotePort: localPort }
+  );
+
+  return client;
+}
+
+/**
+ * Socket connected to a server in the same realm
+ * @param {Object} options options.path or options.host and options.port name the server, latency, split and fault options condition the link
+ * @returns {Socket} socket like class using an in-memory pipe
+ */
+class Socket extends duplex.Socket {
+  _normalizeConnectOptions(options) {
+    if (
+      (options.path === undefined || options.path === null) &&
+      options.port === undefined
+    ) {
+      throw new ERR_MISSING_OPTION("options.path or options.port");
+    }
+
+    validateConditions(options, "options");
+    for (const direction of ["send", "receive"]) {
+      if (options[direction] !== undefined) {
+        validateConditions(options[direction], `options.${direction}`);
+      }
+    }
+
+    return { ...options, dial: dialMemory };
+  }
+
+  //Close the pipe with a reset, the other end fails with ECONNRESET
+  resetAndDestroy() {
+    if (this.stream) this.stream.reset();
+    return this.destroy();
+  }
+}
+
+/**
+ * Connect to a server in the same realm
+ * @param {Object} options options.path or options.host and options.port name the server, latency, split and fault options condition the link
+ * @param {Function} cb listener for the 'connect' event
+ * @returns {Socket}
+ */
+function connect(...args) {
+  const normalized = net._normalizeArgs(args);
+  const [options] = normalized;
+  const socket = new Socket(options);
+
+  if (options.timeout) {
+    socket.setTimeout(options.timeout);
+  }
+
+  return socket.connect(normalized);
+}
+
+/**
+ * Accept sockets connecting to a name in the same realm
+ * @param {Object} options socket options
+ * @param {Function} connectionListener listener for the 'connection' event
+ * @returns {Server} server like class accepting in-memory pipes
+ */
+class Server extends duplex.Server {
+  _listen(options) {
+    let { key, address, port } = resolveName(options);
+
+    if (port === 0) {
+      port = getEphemeralPort(address);
+      key = `${address}:${port}`;
+    }
+
+    if (servers.has(key)) {
+      throw addressException("EADDRINUSE", "listen", address, port);
+    }
+
+    servers.set(key, this);
+
+    return {
+      //Like pipes, servers listening on a path return it as their address
+      address:
+        port === undefined ? address : { address, family: "memory", port },
+      close: () => servers.delete(key),
+    };
+  }
+
+  _createSocket(options) {
+    return new Socket(options);
+  }
+}
+
+function createServer(options, connectionListener) {
+  return new Server(options, connectionListener);
+}
+
+module.exports = {
+  connect,
+  createConnection: connect,
+  createServer,
+  Server,
+  Socket,
+  Stream: Socket,
+  isIP: net.isIP,
+  isIPv4: net.isIPv4,
+  isIPv6: net.isIPv6,
+  _normalizeArgs: net._normalizeArgs,
+};
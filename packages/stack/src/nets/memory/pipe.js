@@ -0,0 +1,226 @@
+const { Buffer } = require("buffer");
+const { connResetException } = require("../../utils").errors;
+
+//Bytes queued in a direction before the sink waits for the reader
+const DEFAULT_WINDOW_SIZE = 64 * 1024;
+
+//Conditions of a direction: set for both directions or per direction in options.send and options.receive
+const LINK_OPTIONS = [
+  "latency",
+  "split",
+  "readDelay",
+  "resetAfter",
+  "truncateAfter",
+  "windowSize",
+];
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+//Split a chunk into pieces of at most split bytes, or with a split(chunk) function
+function splitChunk(chunk, split) {
+  if (typeof split === "function") {
+    return [].concat(split(chunk)).map((piece) => Buffer.from(piece));
+  }
+
+  if (!split || chunk.length <= split) return [chunk];
+
+  const pieces = [];
+  for (let offset = 0; offset < chunk.length; offset += split) {
+    pieces.push(chunk.subarray(offset, offset + split));
+  }
+  return pieces;
+}
+
+/**
+ * One direction of a pipe, data written to the sink is read from the source
+ * @param {Object} conditions latency, split, readDelay, resetAfter and truncateAfter of this direction
+ * @param {Function} onReset called with the error once this direction reaches resetAfter bytes
+ * @returns {Object} { sink, source, end, close, fail }
+ */
+function createLink(conditions, onReset) {
+  const {
+    latency = 0,
+    split,
+    readDelay = 0,
+    resetAfter,
+    truncateAfter,
+    windowSize = DEFAULT_WINDOW_SIZE,
+  } = conditions;
+
+  //Chunks and the end or error marker, each with the time it arrives
+  const queue = [];
+  let queuedBytes = 0;
+  let sentBytes = 0;
+  let lastArrival = 0;
+  let ended = false;
+  let closed = false;
+  let error = null;
+  let onQueue = null;
+  let onRead = null;
+
+  const wake = () => {
+    if (onQueue) onQueue();
+    if (onRead) onRead();
+    onQueue = onRead = null;
+  };
+
+  //Arrivals keep their order even if latency changes
+  const push = (item) => {
+    lastArrival = Math.max(Date.now() + latency, lastArrival);
+    queue.push({ ...item, at: lastArrival });
+    if (item.data) queuedBytes += item.data.length;
+    wake();
+  };
+
+  const link = {
+    source: (async function* () {
+      while (true) {
+        if (!queue.length) {
+          if (closed) return;
+          await new Promise((resolve) => (onQueue = resolve));
+          continue;
+        }
+
+        const wait = queue[0].at - Date.now();
+        if (wait > 0) await delay(wait);
+        if (readDelay) await delay(readDelay);
+        if (!queue.length) continue;
+
+        const item = queue.shift();
+        if (item.error) throw item.error;
+        if (item.end) return;
+
+        queuedBytes -= item.data.length;
+        wake();
+        yield item.data;
+      }
+    })(),
+
+    async sink(source) {
+      const iterator = source[Symbol.asyncIterator]();
+
+      while (true) {
+        const { value: chunk, done } = await iterator.next();
+        if (done) break;
+
+        if (error) throw error;
+        if (closed) throw connResetException("Connection reset by peer");
+
+        //Truncated directions drop the rest of the data
+        if (ended) continue;
+
+        for (const piece of splitChunk(Buffer.from(chunk), split)) {
+          if (!piece.length) continue;
+
+          const limit = Math.min(
+            resetAfter === undefined ? Infinity : resetAfter,
+            truncateAfter === undefined ? Infinity : truncateAfter
+          );
+
+          if (sentBytes + piece.length < limit) {
+            sentBytes += piece.length;
+            push({ data: piece });
+            continue;
+          }
+
+          const rest = limit - sentBytes;
+          sentBytes = limit;
+          if (rest) push({ data: piece.subarray(0, rest) });
+
+          if (limit === resetAfter) {
+            const err = connResetException("Connection reset by peer");
+            onReset(err);
+            throw err;
+          }
+
+          link.end();
+          break;
+        }
+
+        while (!closed && !error && queuedBytes > windowSize) {
+          await new Promise((resolve) => (onRead = resolve));
+        }
+      }
+
+      link.end();
+    },
+
+    //End after the queued data, like a FIN
+    end() {
+      if (ended || closed || error) return;
+      ended = true;
+      push({ end: true });
+    },
+
+    //Drop the queued data and end, writes now fail
+    close() {
+      if (closed) return;
+      closed = true;
+      queue.length = 0;
+      queuedBytes = 0;
+      wake();
+    },
+
+    //Fail the reader, after the queued data unless immediate, and the writer
+    fail(err, immediate) {
+      if (error || closed) return;
+      error = err;
+      if (immediate) {
+        queue.length = 0;
+        queuedBytes = 0;
+      }
+      push({ error: err });
+    },
+  };
+
+  return link;
+}
+
+/**
+ * Create a pair of connected { sink, source } streams
+ * @param {Object} options conditions for both directions, options.send and options.receive override them for data sent and received by the client
+ * @returns {Object} { client, server } streams, each with abort(err) closing it and reset(err) resetting both ends
+ */
+function createPipe(options = {}) {
+  const conditions = {};
+  for (const key of LINK_OPTIONS) {
+    if (options[key] !== undefined) conditions[key] = options[key];
+  }
+
+  //Resets deliver the data written before them, the other direction fails immediately
+  const reset = (
+    from,
+    err = connResetException("Connection reset by peer")
+  ) => {
+    from.fail(err);
+    (from === up ? down : up).fail(err, true);
+  };
+
+  const up = createLink({ ...conditions, ...options.send }, (err) =>
+    reset(up, err)
+  );
+  const down = createLink({ ...conditions, ...options.receive }, (err) =>
+    reset(down, err)
+  );
+
+  //Closing an end finishes what it sent and drops what it hasn't read
+  const end = (sending, receiving) => ({
+    sink: sending.sink,
+    source: receiving.source,
+    abort() {
+      sending.end();
+      receiving.close();
+    },
+    reset(err) {
+      reset(sending, err);
+    },
+  });
+
+  return { client: end(up, down), server: end(down, up) };
+}
+
+module.exports = {
+  createPipe,
+  DEFAULT_WINDOW_SIZE,
+  LINK_OPTIONS,
+};
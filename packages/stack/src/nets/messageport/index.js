@@ -0,0 +1,256 @@
+const duplex = require("../duplex");
+const net = require("../duplex/internals");
+const {
+  createPortStream,
+  deserializeError,
+  serializeError,
+} = require("./stream");
+const { ERR_MISSING_OPTION, ERR_INVALID_ARG_TYPE } =
+  require("../../utils").errors.codes;
+const { AbortError } = require("../../utils").errors;
+const { validateFunction } = require("../../utils").validators;
+
+//Options only used by this realm's socket, everything else is sent to the handler
+const LOCAL_OPTIONS = new Set([
+  "messagePort",
+  "signal",
+  "timeout",
+  "allowHalfOpen",
+  "highWaterMark",
+  "readableHighWaterMark",
+  "writableHighWaterMark",
+]);
+
+//Address properties of the handler's socket copied to ours
+const ADDRESS_PROPERTIES = [
+  "remoteAddress",
+  "remoteFamily",
+  "remotePort",
+  "localAddress",
+  "localPort",
+];
+
+/**
+ * Copy values that can be posted: primitives, arrays and plain objects
+ * @param {*} value
+ * @returns {*} cloneable copy or undefined
+ */
+function toCloneable(value) {
+  if (value === null || typeof value !== "object") {
+    return typeof value === "function" || typeof value === "symbol"
+      ? undefined
+      : value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toCloneable);
+  }
+
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== Object.prototype && proto !== null) return undefined;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    const cloneable = toCloneable(item);
+    if (cloneable !== undefined) copy[key] = cloneable;
+  }
+  return copy;
+}
+
+/**
+ * Ask the handler on options.messagePort to connect, resolving with a stream once it has
+ * @param {Object} options connect options, options.messagePort: MessagePort of a handler
+ * @returns {Promise<Object>} { sink, source, close } stream with the handler socket's addresses
+ */
+function dialPort(options) {
+  const { messagePort, signal } = options;
+
+  const remoteOptions = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (LOCAL_OPTIONS.has(key)) continue;
+    const cloneable = toCloneable(value);
+    if (cloneable !== undefined) remoteOptions[key] = cloneable;
+  }
+
+  //Each socket gets its own channel
+  const { port1, port2 } = new MessageChannel();
+  messagePort.postMessage(
+    { type: "connect", options: remoteOptions, port: port2 },
+    [port2]
+  );
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      port1.removeEventListener("message", onMessage);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    };
+
+    function onMessage({ data: message }) {
+      if (!message) return;
+      cleanup();
+
+      if (message.type === "connect") {
+        const stream = createPortStream(port1, options);
+        resolve(Object.assign(stream, message.address));
+      } else {
+        port1.close();
+        reject(deserializeError(message.error));
+      }
+    }
+
+    function onAbort() {
+      cleanup();
+      port1.postMessage({ type: "close", error: null });
+      reject(new AbortError());
+    }
+
+    port1.addEventListener("message", onMessage);
+    port1.start();
+
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Socket connected through the handler of a MessagePort, like one in a worker
+ * @param {Object} options options.messagePort: MessagePort of a handler, other options are passed to its connect
+ * @returns {Socket} socket like class using the handler's socket
+ */
+class Socket extends duplex.Socket {
+  _normalizeConnectOptions(options) {
+    if (!options.messagePort) {
+      throw new ERR_MISSING_OPTION("options.messagePort");
+    }
+
+    if (typeof options.messagePort.postMessage !== "function") {
+      throw new ERR_INVALID_ARG_TYPE(
+        "options.messagePort",
+        "MessagePort",
+        options.messagePort
+      );
+    }
+
+    return { ...options, dial: dialPort };
+  }
+}
+
+/**
+ * Connect through the handler of options.messagePort
+ * @param {Object} options options.messagePort: MessagePort of a handler, other options are passed to its connect
+ * @param {Function} cb listener for the 'connect' event
+ * @returns {Socket}
+ */
+function connect(...args) {
+  const normalized = net._normalizeArgs(args);
+  const [options] = normalized;
+  const socket = new Socket(options);
+
+  if (options.timeout) {
+    socket.setTimeout(options.timeout);
+  }
+
+  return socket.connect(normalized);
+}
+
+/**
+ * Pipe a socket opened by the handler to the requesting realm
+ * @param {MessagePort} port port dedicated to the socket
+ * @param {Object} options connect options sent by the requesting realm
+ * @param {Function} connect opens the socket
+ */
+function bridge(port, options, connect) {
+  let socket;
+  let connected = false;
+
+  const stream = createPortStream(port, {
+    windowSize: options.windowSize,
+    onClose: (err) => socket && socket.destroy(err || undefined),
+  });
+
+  const fail = (err) => {
+    if (connected) {
+      stream.close(err);
+    } else {
+      port.postMessage({ type: "error", error: serializeError(err) });
+    }
+  };
+
+  try {
+    socket = connect(options);
+  } catch (err) {
+    fail(err);
+    return;
+  }
+
+  //Resolves once the sink sent everything read from the socket
+  let sent = null;
+
+  socket.on("error", fail);
+  socket.once("close", () => {
+    //The sink can still hold the socket's last chunk, waiting for the window
+    Promise.resolve(sent).then(() => stream.close());
+  });
+
+  socket.once("connect", () => {
+    connected = true;
+
+    const address = {};
+    for (const key of ADDRESS_PROPERTIES) {
+      const value = socket[key];
+      if (value !== undefined) {
+        address[key] = typeof value === "object" ? String(value) : value;
+      }
+    }
+    port.postMessage({ type: "connect", address });
+
+    //Sockets are async iterables, writes wait for the socket to drain
+    sent = stream.sink(socket).catch((err) => socket.destroy(err));
+    (async () => {
+      for await (const chunk of stream.source) {
+        if (!socket.write(chunk)) {
+          await new Promise((resolve) => {
+            socket.once("drain", resolve);
+            socket.once("close", resolve);
+          });
+        }
+      }
+      socket.end();
+    })().catch((err) => socket.destroy(err));
+  });
+}
+
+/**
+ * Open sockets for connect requests received on a port, like in a worker
+ * @param {MessagePort} port port receiving connect requests
+ * @param {Function} connect called with each request's options, returns a socket like net.connect
+ * @returns {Function} stops handling requests
+ */
+function handle(port, connect) {
+  validateFunction(connect, "connect");
+
+  const onMessage = ({ data: message }) => {
+    if (message && message.type === "connect" && message.port) {
+      bridge(message.port, message.options || {}, connect);
+    }
+  };
+
+  port.addEventListener("message", onMessage);
+  port.start();
+
+  return () => port.removeEventListener("message", onMessage);
+}
+
+module.exports = {
+  connect,
+  createConnection: connect,
+  handle,
+  Socket,
+  Stream: Socket,
+  isIP: net.isIP,
+  isIPv4: net.isIPv4,
+  isIPv6: net.isIPv6,
+  _normalizeArgs: net._normalizeArgs,
+};
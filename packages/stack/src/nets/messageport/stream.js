@@ -0,0 +1,187 @@
+const { Buffer } = require("buffer");
+
+//Bytes sent over a port before waiting for the other side to read them
+const DEFAULT_WINDOW_SIZE = 64 * 1024;
+
+/**
+ * Copy an error's name, message, code and other primitive properties so it can be posted
+ * @param {Error} err
+ * @returns {Object}
+ */
+function serializeError(err) {
+  if (!err) return null;
+
+  const serialized = { name: err.name, message: err.message };
+  for (const key of Object.keys(err)) {
+    const value = err[key];
+    if (value === null || typeof value !== "object") {
+      if (typeof value !== "function") serialized[key] = value;
+    }
+  }
+  return serialized;
+}
+
+/**
+ * Recreate an error posted with serializeError
+ * @param {Object} serialized
+ * @returns {Error}
+ */
+function deserializeError(serialized) {
+  if (!serialized) return null;
+
+  const { message, ...props } = serialized;
+  return Object.assign(new Error(message), props);
+}
+
+//Copy a chunk into its own ArrayBuffer so it can be transferred
+function toArrayBuffer(chunk) {
+  const view = typeof chunk === "string" ? Buffer.from(chunk) : chunk;
+  return view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength);
+}
+
+/**
+ * Convert a MessagePort to a { sink, source } stream.
+ * Chunks are transferred as ArrayBuffers and acknowledged once read, the sink waits once options.windowSize bytes are unread.
+ * @param {MessagePort} port port dedicated to this stream
+ * @param {Object} options options.windowSize in bytes, options.onClose is called with the error, if any, when the other side closes
+ * @returns {Object} { sink, source, close } where close(err) closes both sides
+ */
+function createPortStream(port, options = {}) {
+  const { windowSize = DEFAULT_WINDOW_SIZE, onClose } = options;
+
+  const received = [];
+  let inflight = 0;
+  let ended = false;
+  let endSent = false;
+  let closed = false;
+  let remoteError = null;
+  let onReceive = null;
+  let onAck = null;
+
+  //Chunk taken from the sink's source while waiting for the other side to read
+  let held = null;
+
+  const wake = () => {
+    if (onReceive) onReceive();
+    if (onAck) onAck();
+    onReceive = onAck = null;
+  };
+
+  const finish = () => {
+    closed = true;
+    port.removeEventListener("message", onMessage);
+    wake();
+  };
+
+  //Close once both sides ended, letting the other side close its port
+  const closeIfEnded = () => {
+    if (ended && endSent && !closed) stream.close();
+  };
+
+  function onMessage({ data: message }) {
+    if (!message || closed) return;
+
+    switch (message.type) {
+      case "data":
+        received.push(message.data);
+        break;
+      case "ack":
+        inflight -= message.bytes;
+        break;
+      case "end":
+        ended = true;
+        closeIfEnded();
+        break;
+      case "close":
+        remoteError = deserializeError(message.error);
+        finish();
+        port.close();
+        if (onClose) onClose(remoteError);
+        return;
+      default:
+        return;
+    }
+
+    wake();
+  }
+
+  port.addEventListener("message", onMessage);
+  port.start();
+
+  const send = (chunk) => {
+    const data = toArrayBuffer(chunk);
+    inflight += data.byteLength;
+    port.postMessage({ type: "data", data }, [data]);
+  };
+
+  const stream = {
+    source: (async function* () {
+      while (true) {
+        if (received.length) {
+          const data = received.shift();
+          if (!closed) {
+            port.postMessage({ type: "ack", bytes: data.byteLength });
+          }
+          yield Buffer.from(data);
+        } else if (remoteError) {
+          throw remoteError;
+        } else if (ended || closed) {
+          return;
+        } else {
+          await new Promise((resolve) => (onReceive = resolve));
+        }
+      }
+    })(),
+
+    async sink(source) {
+      const iterator = source[Symbol.asyncIterator]();
+
+      while (true) {
+        const { value, done } = await iterator.next();
+        if (done) break;
+
+        //Wait for the other side to read, allowing one chunk larger than the window
+        held = value;
+        while (!closed && inflight && inflight + value.length > windowSize) {
+          await new Promise((resolve) => (onAck = resolve));
+        }
+
+        //Closing sends the held chunk itself, before the close message
+        if (closed) {
+          held = null;
+          if (remoteError) throw remoteError;
+          if (iterator.return) await iterator.return();
+          return;
+        }
+
+        held = null;
+        send(value);
+      }
+
+      if (closed) return;
+      port.postMessage({ type: "end" });
+      endSent = true;
+      closeIfEnded();
+    },
+
+    close(err) {
+      if (closed) return;
+
+      //The held chunk was already read from the sink's source, so it would be lost
+      if (held && !err) send(held);
+      held = null;
+
+      port.postMessage({ type: "close", error: serializeError(err) });
+      finish();
+    },
+  };
+
+  return stream;
+}
+
+module.exports = {
+  createPortStream,
+  deserializeError,
+  serializeError,
+  DEFAULT_WINDOW_SIZE,
+};
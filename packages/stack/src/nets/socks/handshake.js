@@ -0,0 +1,215 @@
+const { Buffer } = require("buffer");
+const net = require("../duplex/internals");
+const { connResetException, socksException } = require("../../utils").errors;
+
+const SOCKS_VERSION = 5;
+const AUTH_VERSION = 1;
+
+const METHOD_NO_AUTH = 0x00;
+const METHOD_USERNAME_PASSWORD = 0x02;
+const METHOD_NO_ACCEPTABLE = 0xff;
+
+const COMMAND_CONNECT = 0x01;
+
+const ATYP_IPV4 = 0x01;
+const ATYP_DOMAIN = 0x03;
+const ATYP_IPV6 = 0x04;
+
+//Reply codes of a failed connect request and the errors native sockets emit for them
+const REPLIES = {
+  0x01: ["general SOCKS server failure", "ECONNREFUSED"],
+  0x02: ["connection not allowed by ruleset", "EACCES"],
+  0x03: ["network unreachable", "ENETUNREACH"],
+  0x04: ["host unreachable", "EHOSTUNREACH"],
+  0x05: ["connection refused", "ECONNREFUSED"],
+  0x06: ["TTL expired", "ETIMEDOUT"],
+  0x07: ["command not supported", "ECONNREFUSED"],
+  0x08: ["address type not supported", "ECONNREFUSED"],
+};
+
+//Expand an IPv6 address to its 16 bytes
+function ipv6ToBuffer(address) {
+  //Embedded IPv4 addresses become the last two groups
+  const ipv4 = address.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    const [, a, b, c, d] = ipv4.map(Number);
+    address = address.slice(0, ipv4.index) + ((a << 8) | b).toString(16);
+    address += ":" + ((c << 8) | d).toString(16);
+  }
+
+  const [head, tail] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const groups =
+    tail === undefined
+      ? headGroups
+      : [
+          ...headGroups,
+          ...new Array(8 - headGroups.length - tailGroups.length).fill("0"),
+          ...tailGroups,
+        ];
+
+  const buffer = Buffer.alloc(16);
+  groups.forEach((group, i) =>
+    buffer.writeUInt16BE(parseInt(group, 16), i * 2)
+  );
+  return buffer;
+}
+
+function bufferToIpv6(buffer) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(buffer.readUInt16BE(i).toString(16));
+  }
+  return groups.join(":");
+}
+
+//Address type and bytes of a host, names are resolved by the proxy
+function encodeAddress(host) {
+  switch (net.isIP(host)) {
+    case 4:
+      return Buffer.from([ATYP_IPV4, ...host.split(".").map(Number)]);
+    case 6:
+      return Buffer.concat([Buffer.from([ATYP_IPV6]), ipv6ToBuffer(host)]);
+    default: {
+      const name = Buffer.from(host);
+      return Buffer.concat([Buffer.from([ATYP_DOMAIN, name.length]), name]);
+    }
+  }
+}
+
+/**
+ * Read exactly size bytes from a readable stream
+ * @param {Readable} socket
+ * @param {number} size
+ * @returns {Promise<Buffer>} rejects if the socket ends or fails first
+ */
+function readBytes(socket, size) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      socket.removeListener("readable", onReadable);
+      socket.removeListener("end", onEnd);
+      socket.removeListener("close", onEnd);
+      socket.removeListener("error", onError);
+    };
+
+    function onReadable() {
+      const chunk = socket.read(size);
+      if (chunk === null) return;
+
+      cleanup();
+      if (chunk.length < size) onEnd();
+      else resolve(chunk);
+    }
+
+    function onEnd() {
+      cleanup();
+      reject(connResetException("SOCKS proxy closed the connection"));
+    }
+
+    function onError(err) {
+      cleanup();
+      reject(err);
+    }
+
+    socket.on("readable", onReadable);
+    socket.once("end", onEnd);
+    socket.once("close", onEnd);
+    socket.once("error", onError);
+    onReadable();
+  });
+}
+
+/**
+ * Negotiate a SOCKS5 tunnel to host and port over a connected socket
+ * @param {Duplex} socket connected to the proxy
+ * @param {Object} options options.host, options.port, options.auth: { username, password } and options.proxyName used in errors
+ * @returns {Promise<Object>} { address, port } the proxy connected from
+ */
+async function handshake(socket, options) {
+  const { host, port, auth, proxyName } = options;
+
+  const invalidReply = () =>
+    socksException("ERR_SOCKS_INVALID_REPLY", "ECONNRESET", {}, proxyName);
+
+  //Offer username and password only when there are credentials
+  const methods = auth
+    ? [METHOD_NO_AUTH, METHOD_USERNAME_PASSWORD]
+    : [METHOD_NO_AUTH];
+  socket.write(Buffer.from([SOCKS_VERSION, methods.length, ...methods]));
+
+  const [version, method] = await readBytes(socket, 2);
+  if (version !== SOCKS_VERSION) throw invalidReply();
+
+  if (method === METHOD_USERNAME_PASSWORD && auth) {
+    const username = Buffer.from(auth.username);
+    const password = Buffer.from(auth.password);
+    socket.write(
+      Buffer.concat([
+        Buffer.from([AUTH_VERSION, username.length]),
+        username,
+        Buffer.from([password.length]),
+        password,
+      ])
+    );
+
+    const [, status] = await readBytes(socket, 2);
+    if (status !== 0x00) {
+      throw socksException("ERR_SOCKS_AUTH_FAILED", "EACCES", {}, proxyName);
+    }
+  } else if (method === METHOD_NO_ACCEPTABLE) {
+    throw socksException("ERR_SOCKS_AUTH_UNSUPPORTED", "EACCES", {}, proxyName);
+  } else if (method !== METHOD_NO_AUTH) {
+    throw invalidReply();
+  }
+
+  const portBytes = Buffer.alloc(2);
+  portBytes.writeUInt16BE(port);
+  socket.write(
+    Buffer.concat([
+      Buffer.from([SOCKS_VERSION, COMMAND_CONNECT, 0x00]),
+      encodeAddress(host),
+      portBytes,
+    ])
+  );
+
+  const [replyVersion, reply, , type] = await readBytes(socket, 4);
+  if (replyVersion !== SOCKS_VERSION) throw invalidReply();
+
+  if (reply !== 0x00) {
+    const [message, code] = REPLIES[reply] || ["unknown error", "ECONNREFUSED"];
+    throw socksException(
+      "ERR_SOCKS_CONNECT_FAILED",
+      code,
+      { address: host, port, reply },
+      proxyName,
+      `${host}:${port}`,
+      message
+    );
+  }
+
+  //The address and port the proxy connected from
+  let address;
+  switch (type) {
+    case ATYP_IPV4:
+      address = [...(await readBytes(socket, 4))].join(".");
+      break;
+    case ATYP_IPV6:
+      address = bufferToIpv6(await readBytes(socket, 16));
+      break;
+    case ATYP_DOMAIN: {
+      const [length] = await readBytes(socket, 1);
+      address = (await readBytes(socket, length)).toString();
+      break;
+    }
+    default:
+      throw invalidReply();
+  }
+
+  const boundPort = (await readBytes(socket, 2)).readUInt16BE(0);
+  return { address, port: boundPort };
+}
+
+module.exports = {
+  handshake,
+};
@@ -0,0 +1,313 @@
+const { Buffer } = require("buffer");
+const duplex = require("../duplex");
+const net = require("../duplex/internals");
+const {
+  ERR_INVALID_ARG_VALUE,
+  ERR_MISSING_OPTION,
+  ERR_WEBSOCKET_CONNECT_FAILED,
+} = require("../../utils").errors.codes;
+const { AbortError, connResetException } = require("../../utils").errors;
+const { validateInteger } = require("../../utils").validators;
+
+//websockify subprotocols: raw binary frames or base64 encoded text frames
+const DEFAULT_PROTOCOLS = ["binary", "base64"];
+
+//Bytes queued by the WebSocket before the sink waits for them to be sent
+const DEFAULT_BUFFER_HIGH_WATER_MARK = 64 * 1024;
+
+//WebSockets closed with other codes are emitted as ECONNRESET errors
+const NORMAL_CLOSE_CODES = [1000, 1001, 1005];
+
+const CONNECTING = 0;
+const OPEN = 1;
+
+//Browsers and recent node versions have a global WebSocket, otherwise use ws
+function getWebSocket(options) {
+  if (options.WebSocket) return options.WebSocket;
+  if (typeof WebSocket !== "undefined") return WebSocket;
+  return require("@network-stackify/ws");
+}
+
+//Returns the URL if it's a ws: or wss: URL, otherwise null
+function parseUrl(url) {
+  try {
+    const parsed = new URL(String(url));
+    return parsed.protocol === "ws:" || parsed.protocol === "wss:"
+      ? parsed
+      : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Convert an open WebSocket to a { sink, source } stream.
+ * WebSockets can't be half-closed, so ending the sink closes the WebSocket.
+ * @param {WebSocket} websocket
+ * @param {Object} options options.bufferHighWaterMark: bytes queued by the WebSocket before the sink waits
+ * @returns {Object} { sink, source, close, websocket } stream with the WebSocket's remote address
+ */
+function createWebSocketStream(websocket, options = {}) {
+  const { bufferHighWaterMark = DEFAULT_BUFFER_HIGH_WATER_MARK } = options;
+  const base64 = websocket.protocol === "base64";
+
+  const received = [];
+  let closed = websocket.readyState > OPEN;
+  let error = null;
+  let onReceive = null;
+
+  const wake = () => {
+    if (onReceive) onReceive();
+    onReceive = null;
+  };
+
+  const onMessage = ({ data }) => {
+    received.push(
+      typeof data === "string"
+        ? Buffer.from(data, base64 ? "base64" : "utf8")
+        : Buffer.from(data)
+    );
+    wake();
+  };
+
+  const finish = (err) => {
+    closed = true;
+    error = err;
+    websocket.removeEventListener("message", onMessage);
+    websocket.removeEventListener("close", onClose);
+    websocket.removeEventListener("error", onError);
+    wake();
+  };
+
+  //Not every WebSocket follows errors with close
+  const onError = () => {
+    finish(connResetException("WebSocket error"));
+  };
+
+  const onClose = ({ code }) => {
+    finish(
+      NORMAL_CLOSE_CODES.includes(code)
+        ? null
+        : connResetException(`WebSocket closed with code ${code}`)
+    );
+  };
+
+  websocket.binaryType = "arraybuffer";
+  websocket.addEventListener("message", onMessage);
+  websocket.addEventListener("close", onClose);
+  websocket.addEventListener("error", onError);
+
+  const url = parseUrl(websocket.url);
+
+  const stream = {
+    websocket,
+    remoteAddress: url ? url.hostname : undefined,
+    remotePort: url
+      ? Number(url.port) || (url.protocol === "wss:" ? 443 : 80)
+      : undefined,
+    remoteFamily: "websocket",
+
+    source: (async function* () {
+      while (true) {
+        if (received.length) {
+          yield received.shift();
+        } else if (error) {
+          throw error;
+        } else if (closed) {
+          return;
+        } else {
+          await new Promise((resolve) => (onReceive = resolve));
+        }
+      }
+    })(),
+
+    async sink(source) {
+      const iterator = source[Symbol.asyncIterator]();
+
+      while (true) {
+        const { value, done } = await iterator.next();
+        if (done) break;
+        if (!value.length) continue;
+
+        //WebSockets don't signal when their buffer drains, so check until it does
+        while (!closed && websocket.bufferedAmount > bufferHighWaterMark) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+
+        if (closed) {
+          if (error) throw error;
+          if (iterator.return) await iterator.return();
+          return;
+        }
+
+        websocket.send(base64 ? Buffer.from(value).toString("base64") : value);
+      }
+
+      stream.close();
+    },
+
+    close() {
+      if (
+        websocket.readyState === CONNECTING ||
+        websocket.readyState === OPEN
+      ) {
+        websocket.close(1000);
+      }
+    },
+  };
+
+  return stream;
+}
+
+/**
+ * Open a WebSocket, resolving with a stream once it's open
+ * @param {Object} options options.url, options.protocols and options.signal
+ * @returns {Promise<Object>} { sink, source, close, websocket } stream
+ */
+function dialWebSocket(options) {
+  const { url, protocols, signal } = options;
+  const WebSocket = getWebSocket(options);
+
+  return new Promise((resolve, reject) => {
+    let websocket;
+    try {
+      websocket = new WebSocket(url, protocols);
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    const cleanup = () => {
+      websocket.removeEventListener("open", onOpen);
+      websocket.removeEventListener("close", onFail);
+      websocket.removeEventListener("error", onFail);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    };
+
+    function onOpen() {
+      cleanup();
+      resolve(createWebSocketStream(websocket, options));
+    }
+
+    //Browsers don't expose why a WebSocket failed, only that it did
+    function onFail() {
+      cleanup();
+      const err = new ERR_WEBSOCKET_CONNECT_FAILED(url);
+      err.syscall = "connect";
+      err.address = url;
+      reject(err);
+    }
+
+    function onAbort() {
+      cleanup();
+      websocket.close();
+      reject(new AbortError());
+    }
+
+    websocket.binaryType = "arraybuffer";
+    websocket.addEventListener("open", onOpen);
+    websocket.addEventListener("close", onFail);
+    websocket.addEventListener("error", onFail);
+
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Socket over a binary WebSocket, like one to a websockify bridge
+ * @param {Object} options options.websocket: open WebSocket to wrap, otherwise options.url can be passed to connect
+ * @returns {Socket} socket like class using the WebSocket
+ */
+class Socket extends duplex.Socket {
+  constructor(options) {
+    if (options && options.websocket) {
+      options = {
+        ...options,
+        stream: createWebSocketStream(options.websocket, options),
+      };
+    }
+
+    super(options);
+  }
+
+  //Raw WebSocket once connected
+  get websocket() {
+    return this.stream ? this.stream.websocket : null;
+  }
+
+  _normalizeConnectOptions(options) {
+    //Full URLs can be passed as a path: net.connect(url)
+    let { url, protocols = DEFAULT_PROTOCOLS } = options;
+    let name = "options.url";
+
+    if (url === undefined || url === null) {
+      if (options.path === undefined) throw new ERR_MISSING_OPTION(name);
+      name = "options.path";
+      url = options.path;
+    }
+
+    const parsed = parseUrl(url);
+    if (!parsed) {
+      throw new ERR_INVALID_ARG_VALUE(name, url, "must be a ws: or wss: URL");
+    }
+
+    if (typeof protocols === "string") protocols = [protocols];
+    if (
+      !Array.isArray(protocols) ||
+      !protocols.every((protocol) => typeof protocol === "string")
+    ) {
+      throw new ERR_INVALID_ARG_VALUE(
+        "options.protocols",
+        options.protocols,
+        "must be a string or an array of strings"
+      );
+    }
+
+    if (options.bufferHighWaterMark !== undefined) {
+      validateInteger(
+        options.bufferHighWaterMark,
+        "options.bufferHighWaterMark",
+        0
+      );
+    }
+
+    return {
+      ...options,
+      url: parsed.href,
+      protocols,
+      dial: dialWebSocket,
+    };
+  }
+}
+
+/**
+ * Connect over a WebSocket
+ * @param {Object} options options.url: ws: or wss: URL, options.protocols: subprotocols, binary and base64 by default
+ * @param {Function} cb listener for the 'connect' event
+ * @returns {Socket}
+ */
+function connect(...args) {
+  const normalized = net._normalizeArgs(args);
+  const [options] = normalized;
+  const socket = new Socket(options);
+
+  if (options.timeout) {
+    socket.setTimeout(options.timeout);
+  }
+
+  return socket.connect(normalized);
+}
+
+module.exports = {
+  connect,
+  createConnection: connect,
+  Socket,
+  Stream: Socket,
+  isIP: net.isIP,
+  isIPv4: net.isIPv4,
+  isIPv6: net.isIPv6,
+  _normalizeArgs: net._normalizeArgs,
+};
@@ -35,8 +35,37 @@ class TLSSocket extends Stream.Duplex {
 
   _read() {}
 
-  setTimeout() {}
+  //Timeouts are those of the underlying socket, set once it's known
+  setTimeout(msecs, callback) {
+    this._timeout = msecs;
+    if (this._socket && this._socket.setTimeout) {
+      this._socket.setTimeout(msecs);
+    }
+
+    if (callback) {
+      if (msecs === 0) this.removeListener("timeout", callback);
+      else this.once("timeout", callback);
+    }
+
+    return this;
+  }
+
   setNoDelay() {}
+  ref() {
+    if (this._socket && this._socket.ref) this._socket.ref();
+    return this;
+  }
+
+  unref() {
+    if (this._socket && this._socket.unref) this._socket.unref();
+    return this;
+  }
+
+  setKeepAlive(enable, initialDelay) {
+    if (this._socket && this._socket.setKeepAlive) {
+      this._socket.setKeepAlive(enable, initialDelay);
+    }
+  }
 
   createCaStore() {
     const rootCertificates =
@@ -233,6 +262,12 @@ class TLSSocket extends Stream.Duplex {
     }
 
     this._socket.once("close", (hadError) => this.emit("close", hadError));
+    this._socket.on("timeout", () => this.emit("timeout"));
+
+    if (this._timeout !== undefined && this._socket.setTimeout) {
+      this._socket.setTimeout(this._timeout);
+    }
+
     return this;
   }
 
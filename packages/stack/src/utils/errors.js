@@ -460,6 +460,30 @@ const exceptionWithHostPort = hideStackFrames(function exceptionWithHostPort(
   return captureLargerStackTrace(ex);
 });
 
+// Errors for connections failing in a transport other than TCP. `code` is the
+// system error a native socket emits for the same failure (ECONNREFUSED,
+// EHOSTUNREACH, ...) and the transport's own ERR_* code is set as `keyName`.
+// The context describes where it failed, like { hop, peer, cause }.
+function transportException(keyName, key, code, context, ...args) {
+  const ex = new codes[key](...args);
+  ex[keyName] = key;
+  ex.code = code;
+  ex.syscall = "connect";
+  Object.assign(ex, context);
+  return ex;
+}
+
+// Errors for failed libp2p dials, circuit relay hops and protocol negotiation,
+// with the ERR_LIBP2P_* code as `libp2pCode`.
+function libp2pException(key, code, context, ...args) {
+  return transportException("libp2pCode", key, code, context, ...args);
+}
+
+// Errors for failed SOCKS handshakes, with the ERR_SOCKS_* code as `socksCode`.
+function socksException(key, code, context, ...args) {
+  return transportException("socksCode", key, code, context, ...args);
+}
+
 function connResetException(msg) {
   // eslint-disable-next-line no-restricted-syntax
   const ex = new Error(msg);
@@ -555,6 +579,16 @@ class AbortError extends Error {
     this.name = "AbortError";
   }
 }
+
+// Like Node's autoSelectFamily, connecting through several addresses fails
+// with every attempt's error, using the code of the first one.
+class NodeAggregateError extends AggregateError {
+  constructor(errors, message) {
+    super(errors, message);
+    this.code = errors[0] && errors[0].code;
+  }
+}
+
 module.exports = {
   addCodeToName, // Exported for NghttpError
   codes,
@@ -565,8 +599,11 @@ module.exports = {
   isErrorStackTraceLimitWritable,
   isStackOverflowError,
   connResetException,
+  libp2pException,
+  socksException,
   SystemError,
   AbortError,
+  NodeAggregateError,
   // This is exported only to facilitate testing.
   E,
   kNoOverride,
@@ -1318,6 +1355,24 @@ E("ERR_IPC_CHANNEL_CLOSED", "Channel closed", Error);
 E("ERR_IPC_DISCONNECTED", "IPC channel is already disconnected", Error);
 E("ERR_IPC_ONE_PIPE", "Child process can have only one IPC pipe", Error);
 E("ERR_IPC_SYNC_FORK", "IPC cannot be used with synchronous forks", Error);
+E("ERR_LIBP2P_BLOCKED", "%s is blocked by net.BlockList", Error);
+E("ERR_LIBP2P_CONNECT_TIMEOUT", "Connecting to %s timed out after %dms", Error);
+E("ERR_LIBP2P_DIAL_FAILED", "Failed to dial %s", Error);
+E(
+  "ERR_LIBP2P_NO_CONTENT_ROUTING",
+  "libp2p has no content routing, configure a DHT or delegated routing",
+  Error
+);
+E(
+  "ERR_LIBP2P_PROTOCOL_NEGOTIATION_FAILED",
+  "Peer %s does not support protocol %s",
+  Error
+);
+E(
+  "ERR_LIBP2P_RELAY_FAILED",
+  "Circuit relay through %s to %s failed: %s",
+  Error
+);
 E(
   "ERR_MANIFEST_ASSERT_INTEGRITY",
   (moduleURL, realIntegrities) => {
@@ -1481,6 +1536,8 @@ E(
   TypeError
 );
 E("ERR_PERFORMANCE_MEASURE_INVALID_OPTIONS", "%s", TypeError);
+E("ERR_PROXY_AUTH_REQUIRED", "Proxy %s requires authentication", Error);
+E("ERR_PROXY_CONNECT_FAILED", "Proxy %s failed to connect to %s: %s %s", Error);
 E(
   "ERR_REQUIRE_ESM",
   (filename, parentPath = null, packageJsonPath = null) => {
@@ -1545,6 +1602,18 @@ E("ERR_SOCKET_CLOSED", "Socket is closed", Error);
 E("ERR_SOCKET_DGRAM_IS_CONNECTED", "Already connected", Error);
 E("ERR_SOCKET_DGRAM_NOT_CONNECTED", "Not connected", Error);
 E("ERR_SOCKET_DGRAM_NOT_RUNNING", "Not running", Error);
+E("ERR_SOCKS_AUTH_FAILED", "SOCKS proxy %s rejected the credentials", Error);
+E(
+  "ERR_SOCKS_AUTH_UNSUPPORTED",
+  "SOCKS proxy %s does not support the offered authentication methods",
+  Error
+);
+E(
+  "ERR_SOCKS_CONNECT_FAILED",
+  "SOCKS proxy %s failed to connect to %s: %s",
+  Error
+);
+E("ERR_SOCKS_INVALID_REPLY", "Invalid reply from SOCKS proxy %s", Error);
 E(
   "ERR_SRI_PARSE",
   "Subresource Integrity string %j had an unexpected %j at position %d",
@@ -1707,6 +1776,7 @@ E(
 );
 E("ERR_VM_MODULE_STATUS", "Module status %s", Error);
 E("ERR_WASI_ALREADY_STARTED", "WASI instance has already started", Error);
+E("ERR_WEBSOCKET_CONNECT_FAILED", "Failed to connect to %s", Error);
 E("ERR_WORKER_INIT_FAILED", "Worker initialization failure: %s", Error);
 E(
   "ERR_WORKER_INVALID_EXEC_ARGV",
@@ -1 +1,3 @@
 exports.errors = require("./errors");
+exports.timers = require("./timers");
+exports.validators = require("./validators");
@@ -0,0 +1,41 @@
+"use strict";
+
+const {
+  codes: { ERR_OUT_OF_RANGE },
+} = require("./errors");
+const { validateNumber } = require("./validators");
+
+const TIMEOUT_MAX = 2 ** 31 - 1;
+
+// Type checking used by timers.enroll() and Socket#setTimeout()
+function getTimerDuration(msecs, name) {
+  validateNumber(msecs, name);
+  if (msecs < 0 || !Number.isFinite(msecs)) {
+    throw new ERR_OUT_OF_RANGE(name, "a non-negative finite number", msecs);
+  }
+
+  // Ensure that msecs fits into signed int32
+  if (msecs > TIMEOUT_MAX) {
+    process.emitWarning(
+      `${msecs} does not fit into a 32-bit signed integer.` +
+        `\nTimer duration was truncated to ${TIMEOUT_MAX}.`,
+      "TimeoutOverflowWarning"
+    );
+    return TIMEOUT_MAX;
+  }
+
+  return msecs;
+}
+
+// Timer that doesn't keep the node process alive, if supported
+function setUnrefTimeout(callback, msecs) {
+  const timer = setTimeout(callback, msecs);
+  if (timer && typeof timer.unref === "function") timer.unref();
+  return timer;
+}
+
+module.exports = {
+  TIMEOUT_MAX,
+  getTimerDuration,
+  setUnrefTimeout,
+};
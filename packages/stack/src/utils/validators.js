@@ -0,0 +1,38 @@
+"use strict";
+
+const {
+  hideStackFrames,
+  codes: { ERR_INVALID_ARG_TYPE, ERR_OUT_OF_RANGE },
+} = require("./errors");
+
+const validateInteger = hideStackFrames(
+  (
+    value,
+    name,
+    min = Number.MIN_SAFE_INTEGER,
+    max = Number.MAX_SAFE_INTEGER
+  ) => {
+    if (typeof value !== "number")
+      throw new ERR_INVALID_ARG_TYPE(name, "number", value);
+    if (!Number.isInteger(value))
+      throw new ERR_OUT_OF_RANGE(name, "an integer", value);
+    if (value < min || value > max)
+      throw new ERR_OUT_OF_RANGE(name, `>= ${min} && <= ${max}`, value);
+  }
+);
+
+function validateNumber(value, name) {
+  if (typeof value !== "number")
+    throw new ERR_INVALID_ARG_TYPE(name, "number", value);
+}
+
+const validateFunction = hideStackFrames((value, name) => {
+  if (typeof value !== "function")
+    throw new ERR_INVALID_ARG_TYPE(name, "Function", value);
+});
+
+module.exports = {
+  validateFunction,
+  validateInteger,
+  validateNumber,
+};
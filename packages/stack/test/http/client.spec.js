@@ -0,0 +1,72 @@
+const assert = require("assert");
+const nodeHttp = require("http");
+const nodeNet = require("net");
+const { once } = require("events");
+const http = require("../../src/http");
+
+//Resolve with the response and its body
+function get(options) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(options, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () =>
+          resolve({ res, body: String(Buffer.concat(chunks)) })
+        );
+      })
+      .on("error", reject);
+  });
+}
+
+describe("http client", () => {
+  let server, port;
+
+  beforeEach(async () => {
+    server = nodeHttp.createServer((req, res) => {
+      res.statusCode = 404;
+      res.end("missing");
+    });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    port = server.address().port;
+  });
+
+  afterEach(() => server.close());
+
+  it("parses the status code and message of responses", async () => {
+    const { res, body } = await get({ host: "127.0.0.1", port, path: "/" });
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(res.statusMessage, "Not Found");
+    assert.strictEqual(body, "missing");
+  });
+
+  it("waits for agents creating connections asynchronously", async () => {
+    class AsyncAgent extends http.Agent {
+      createConnection(options, cb) {
+        setTimeout(() => cb(null, nodeNet.connect(options)), 10);
+      }
+    }
+
+    const agent = new AsyncAgent();
+    const { res } = await get({ host: "127.0.0.1", port, path: "/", agent });
+
+    assert.strictEqual(res.statusCode, 404);
+    agent.destroy();
+  });
+
+  it("fails requests when agents fail creating connections", async () => {
+    const failure = new Error("no route");
+    class FailingAgent extends http.Agent {
+      createConnection(options, cb) {
+        setTimeout(() => cb(failure), 10);
+      }
+    }
+
+    await assert.rejects(
+      get({ host: "127.0.0.1", port, path: "/", agent: new FailingAgent() }),
+      (err) => err === failure
+    );
+  });
+});
@@ -0,0 +1,207 @@
+const assert = require("assert");
+const nodeHttp = require("http");
+const nodeNet = require("net");
+const { once } = require("events");
+const https = require("../../src/https");
+const {
+  connectProxy,
+  isNoProxy,
+  normalizeProxy,
+} = require("../../src/https/proxy");
+
+const CREDENTIALS = "Basic " + Buffer.from("user:pass").toString("base64");
+
+//Open a tunnel, resolving with the socket and how often the callback was called
+function tunnel(proxy, target) {
+  return new Promise((resolve, reject) => {
+    let calls = 0;
+    connectProxy(normalizeProxy(proxy), target, (err, socket) => {
+      calls++;
+      //Let late events call back again if they would
+      setTimeout(() => {
+        if (err) {
+          err.calls = calls;
+          reject(err);
+        } else {
+          resolve({ socket, calls });
+        }
+      }, 50);
+    });
+  });
+}
+
+describe("https proxy tunnels", () => {
+  let echo, target, proxy, proxyUrl, requests;
+
+  beforeEach(async () => {
+    echo = nodeNet.createServer((socket) => socket.pipe(socket));
+    echo.listen(0, "127.0.0.1");
+    await once(echo, "listening");
+    target = { host: "127.0.0.1", port: echo.address().port };
+
+    //Proxy asking for user:pass
+    requests = [];
+    proxy = nodeHttp.createServer();
+    proxy.on("connect", (req, socket) => {
+      requests.push(req);
+
+      if (req.headers["proxy-authorization"] !== CREDENTIALS) {
+        socket.end(
+          "HTTP/1.1 407 Proxy Authentication Required\r\n" +
+            'Proxy-Authenticate: Basic realm="proxy"\r\n' +
+            "Content-Length: 0\r\n\r\n"
+        );
+        return;
+      }
+
+      if (req.url !== `${target.host}:${target.port}`) {
+        socket.end("HTTP/1.1 403 Forbidden\r\nContent-Length: 0\r\n\r\n");
+        return;
+      }
+
+      const upstream = nodeNet.connect(target.port, target.host, () => {
+        socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+        upstream.pipe(socket);
+        socket.pipe(upstream);
+      });
+      upstream.on("error", () => socket.destroy());
+      socket.on("error", () => upstream.destroy());
+    });
+    proxy.listen(0, "127.0.0.1");
+    await once(proxy, "listening");
+    proxyUrl = `http://127.0.0.1:${proxy.address().port}`;
+  });
+
+  afterEach(() => {
+    echo.close();
+    proxy.close();
+  });
+
+  it("retries with credentials after a 407", async () => {
+    const { socket, calls } = await tunnel(
+      proxyUrl.replace("//", "//user:pass@"),
+      target
+    );
+
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[0].headers["proxy-authorization"], undefined);
+    assert.strictEqual(requests[1].headers["proxy-authorization"], CREDENTIALS);
+
+    socket.end("hello");
+    const [data] = await once(socket, "data");
+    assert.strictEqual(String(data), "hello");
+  });
+
+  it("fails without credentials", async () => {
+    await assert.rejects(tunnel(proxyUrl, target), {
+      code: "ERR_PROXY_AUTH_REQUIRED",
+      statusCode: 407,
+      proxyAuthenticate: 'Basic realm="proxy"',
+      calls: 1,
+    });
+    assert.strictEqual(requests.length, 1);
+  });
+
+  it("sends credentials only once", async () => {
+    await assert.rejects(
+      tunnel(proxyUrl.replace("//", "//user:wrong@"), target),
+      { code: "ERR_PROXY_AUTH_REQUIRED", calls: 1 }
+    );
+    assert.strictEqual(requests.length, 2);
+  });
+
+  it("fails tunnels refused by the proxy", async () => {
+    await assert.rejects(
+      tunnel(proxyUrl.replace("//", "//user:pass@"), {
+        host: "127.0.0.1",
+        port: 1,
+      }),
+      { code: "ERR_PROXY_CONNECT_FAILED", statusCode: 403, calls: 1 }
+    );
+  });
+
+  it("fails once when the proxy can't be reached", async () => {
+    proxy.close();
+    await once(proxy, "close");
+
+    await assert.rejects(tunnel(proxyUrl, target), {
+      code: "ECONNREFUSED",
+      calls: 1,
+    });
+  });
+});
+
+describe("NO_PROXY rules", () => {
+  it("matches hosts, subdomains and ports", () => {
+    const rules = "localhost, .internal,10.0.0.1:8443,[::1]";
+
+    assert.strictEqual(isNoProxy("localhost", 443, rules), true);
+    assert.strictEqual(isNoProxy("api.internal", 443, rules), true);
+    assert.strictEqual(isNoProxy("internal", 443, rules), true);
+    assert.strictEqual(isNoProxy("10.0.0.1", 8443, rules), true);
+    assert.strictEqual(isNoProxy("10.0.0.1", 443, rules), false);
+    assert.strictEqual(isNoProxy("[::1]", 443, rules), true);
+    assert.strictEqual(isNoProxy("example.com", 443, rules), false);
+    assert.strictEqual(isNoProxy("example.com", 443, "*"), true);
+  });
+});
+
+describe("proxy environment variables", () => {
+  const names = [
+    "https_proxy",
+    "HTTPS_PROXY",
+    "http_proxy",
+    "HTTP_PROXY",
+    "no_proxy",
+    "NO_PROXY",
+  ];
+  let saved;
+
+  beforeEach(() => {
+    saved = {};
+    for (const name of names) {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const name of names) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  });
+
+  it("uses HTTPS_PROXY for https", () => {
+    process.env.HTTPS_PROXY = "http://proxy:3128";
+    process.env.NO_PROXY = "internal";
+
+    assert.strictEqual(
+      https.getProxyForUrl("https://example.com"),
+      "http://proxy:3128"
+    );
+    assert.strictEqual(https.getProxyForUrl("https://internal"), null);
+  });
+
+  it("doesn't send https through HTTP_PROXY", () => {
+    process.env.HTTP_PROXY = "http://proxy:3128";
+    process.env.http_proxy = "http://proxy:3128";
+
+    assert.strictEqual(https.getProxyForUrl("https://example.com"), null);
+  });
+
+  it("pools sockets by proxy", () => {
+    const target = { host: "example.com", port: 443 };
+    const names = [
+      new https.ProxyAgent({ proxy: "http://one:3128" }),
+      new https.ProxyAgent({ proxy: "http://two:3128" }),
+      new https.ProxyAgent({ proxy: "http://one:3128", noProxy: "*" }),
+      new https.Agent(),
+    ].map((agent) => agent.getName({ ...target, ...agent.options }));
+
+    assert.strictEqual(new Set(names).size, names.length);
+    assert.ok(names[0].endsWith(":one:3128"));
+    assert.ok(names[2].endsWith(":"));
+  });
+});
@@ -0,0 +1,133 @@
+const assert = require("assert");
+const { once } = require("events");
+const duplex = require("../../../src/nets/duplex");
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Stream whose sink takes one chunk at a time, asking for the next once released
+ * @param {AsyncIterable} source chunks read by the socket, never ending by default
+ * @returns {Object} stream with the chunks it received, release() and whether its sink ended
+ */
+function heldStream(source) {
+  const stream = {
+    received: [],
+    ended: false,
+    release: () => {},
+    sink: async (chunks) => {
+      for await (const chunk of chunks) {
+        stream.received.push(Buffer.from(chunk));
+        await new Promise((resolve) => (stream.release = resolve));
+      }
+      stream.ended = true;
+    },
+    source:
+      source ||
+      (async function* () {
+        await new Promise(() => {});
+      })(),
+  };
+
+  return stream;
+}
+
+describe("duplex Socket", () => {
+  it("counts chunks held by the sink as written once", async () => {
+    const stream = heldStream();
+    const socket = new duplex.Socket({ stream });
+
+    socket.write(Buffer.alloc(10));
+    await tick();
+
+    assert.strictEqual(stream.received.length, 1);
+    assert.strictEqual(socket.bytesWritten, 10);
+
+    stream.release();
+    await tick();
+
+    assert.strictEqual(socket.writableLength, 0);
+    assert.strictEqual(socket.bytesWritten, 10);
+
+    socket.destroy();
+  });
+
+  it("buffers writes up to writableHighWaterMark while the sink is busy", async () => {
+    const stream = heldStream();
+    const socket = new duplex.Socket({ stream, writableHighWaterMark: 16 });
+
+    assert.strictEqual(socket.write(Buffer.alloc(10)), true);
+    assert.strictEqual(socket.write(Buffer.alloc(10)), false);
+    await tick();
+    assert.strictEqual(stream.received.length, 1);
+
+    //Each chunk is sent once the sink asks for the next one
+    const drained = once(socket, "drain");
+    stream.release();
+    await tick();
+    stream.release();
+    await drained;
+
+    assert.strictEqual(stream.received.length, 2);
+    assert.strictEqual(socket.bytesWritten, 20);
+
+    socket.destroy();
+  });
+
+  it("ends the sink when ended, still reading the source", async () => {
+    let push;
+    const stream = heldStream(
+      (async function* () {
+        yield Buffer.from("before");
+        yield await new Promise((resolve) => (push = resolve));
+      })()
+    );
+    const socket = new duplex.Socket({ stream, allowHalfOpen: true });
+
+    const chunks = [];
+    socket.on("data", (chunk) => chunks.push(chunk));
+
+    socket.end("bye");
+    await tick();
+    stream.release();
+    await once(socket, "finish");
+    await tick();
+
+    assert.strictEqual(stream.ended, true);
+    push(Buffer.from("after"));
+    await once(socket, "end");
+
+    assert.strictEqual(Buffer.concat(chunks).toString(), "beforeafter");
+    assert.strictEqual(Buffer.concat(stream.received).toString(), "bye");
+  });
+
+  it("keeps writing once the source ends with allowHalfOpen", async () => {
+    const stream = heldStream((async function* () {})());
+    const socket = new duplex.Socket({ stream, allowHalfOpen: true });
+
+    socket.resume();
+    await once(socket, "end");
+    assert.strictEqual(socket.writable, true);
+    assert.strictEqual(socket.readyState, "writeOnly");
+
+    socket.end("still here");
+    await tick();
+    stream.release();
+    await once(socket, "finish");
+
+    assert.strictEqual(Buffer.concat(stream.received).toString(), "still here");
+  });
+
+  it("ends the sink once the source ends without allowHalfOpen", async () => {
+    const stream = heldStream((async function* () {})());
+    const socket = new duplex.Socket({ stream });
+    const finished = once(socket, "finish");
+
+    socket.resume();
+    await once(socket, "end");
+    await finished;
+    await tick();
+
+    assert.strictEqual(stream.ended, true);
+    assert.strictEqual(socket.writable, false);
+  });
+});
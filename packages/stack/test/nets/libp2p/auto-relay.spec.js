@@ -0,0 +1,289 @@
+const assert = require("assert");
+const pair = require("it-pair/duplex");
+const {
+  dialAutoRelay,
+  normalizeAutoRelayOptions,
+} = require("../../../src/nets/libp2p/auto-relay");
+const BlockList = require("../../../src/nets/libp2p/blocklist");
+const {
+  PROTOCOL,
+  HOP_PROTOCOL_V2,
+} = require("../../../src/nets/libp2p/circuit-relay");
+const StreamHandler = require("../../../src/nets/libp2p/circuit-relay/stream-handler");
+const CircuitPB = require("../../../src/nets/libp2p/circuit-relay/circuit-pb");
+const { NodeAggregateError } = require("../../../src/utils").errors;
+const { createPeerIds, fakeLibp2p } = require("./utils");
+
+function dialError(multiaddr, libp2pCode = "ERR_LIBP2P_DIAL_FAILED") {
+  return Object.assign(new Error(`Failed to dial ${multiaddr}`), {
+    code: "EHOSTUNREACH",
+    libp2pCode,
+    address: multiaddr,
+  });
+}
+
+/**
+ * Dial function like dialRoutes, reaching the first peer of reachable routes only
+ * @param {Function} reachable called with each route, returns whether it connects
+ * @returns {Function} dial recording the multiaddresses of each call as dial.calls
+ */
+function createDial(reachable) {
+  const dial = async (routes) => {
+    dial.calls.push(routes.map(({ multiaddr }) => multiaddr));
+
+    const route = routes.find(reachable);
+    if (route) return { connection: {}, stream: {}, release: () => {}, route };
+
+    const errors = routes.map(({ multiaddr }) => dialError(multiaddr));
+    throw errors.length === 1
+      ? errors[0]
+      : new NodeAggregateError(errors, "Failed to connect to any route");
+  };
+
+  dial.calls = [];
+  return dial;
+}
+
+//v1 relay connection answering CAN_HOP requests
+function canHopConnection() {
+  return {
+    newStream: async () => {
+      const [local, remote] = pair();
+      const streamHandler = new StreamHandler({ stream: remote });
+      streamHandler.read().then(() =>
+        streamHandler.write({
+          type: CircuitPB.Type.STATUS,
+          code: CircuitPB.Status.SUCCESS,
+        })
+      );
+      return { stream: local, protocol: PROTOCOL };
+    },
+  };
+}
+
+describe("libp2p auto relay", () => {
+  let self, exit, next, relayV2, relayV1, deadRelay, blocked, peer;
+
+  before(async () => {
+    [self, exit, next, relayV2, relayV1, deadRelay, blocked, peer] =
+      await createPeerIds(8);
+  });
+
+  /**
+   * libp2p with every peer in its peer store, dialing only relayV1
+   * @returns {Object} libp2p counting peer store lookups as libp2p.lookups
+   */
+  function createLibp2p() {
+    const libp2p = fakeLibp2p(self, (multiaddr) => {
+      if (multiaddr.endsWith(relayV1.toB58String())) return canHopConnection();
+      throw new Error("unreachable");
+    });
+
+    const peers = [
+      [self, [HOP_PROTOCOL_V2]],
+      [exit, [HOP_PROTOCOL_V2]],
+      [relayV2, [HOP_PROTOCOL_V2]],
+      [relayV1, [PROTOCOL]],
+      [deadRelay, [PROTOCOL]],
+      [blocked, [HOP_PROTOCOL_V2]],
+      [peer, ["/ipfs/id/1.0.0"]],
+    ];
+
+    libp2p.lookups = 0;
+    libp2p.peerStore = {
+      all: async () => {
+        libp2p.lookups++;
+        return peers.map(([id, protocols]) => ({ id, protocols }));
+      },
+    };
+    return libp2p;
+  }
+
+  function options(overrides) {
+    const blockList = new BlockList();
+    blockList.addPeer(blocked.toB58String());
+
+    return {
+      ...normalizeAutoRelayOptions(true, "options.autoRelay"),
+      blockList,
+      signal: new AbortController().signal,
+      ...overrides,
+    };
+  }
+
+  const exitRoute = () => ({
+    multiaddr: `/p2p/${exit.toB58String()}`,
+    hops: [],
+    proto: "/x/echo",
+  });
+
+  //Routes are reachable through the relays given by peer id
+  const through =
+    (...relays) =>
+    ({ multiaddr }) =>
+      relays.some((relay) => multiaddr === `/p2p/${relay.toB58String()}`);
+
+  it("dials reachable routes directly", async () => {
+    const libp2p = createLibp2p();
+    const dial = createDial(() => true);
+
+    const dialed = await dialAutoRelay(libp2p, [exitRoute()], dial, options());
+    assert.strictEqual(dialed.relayPath, null);
+    assert.strictEqual(dial.calls.length, 1);
+    assert.strictEqual(libp2p.lookups, 0);
+  });
+
+  it("relays unreachable peers through relays of the peer store", async () => {
+    const libp2p = createLibp2p();
+    const dial = createDial(through(relayV1));
+
+    const dialed = await dialAutoRelay(libp2p, [exitRoute()], dial, options());
+
+    //Not itself, the exit, blocked peers, non relays or v1 relays failing CAN_HOP
+    assert.deepStrictEqual(dial.calls[1], [
+      `/p2p/${relayV2.toB58String()}`,
+      `/p2p/${relayV1.toB58String()}`,
+    ]);
+    assert.deepStrictEqual(libp2p.dialed, [
+      `/p2p/${relayV1.toB58String()}`,
+      `/p2p/${deadRelay.toB58String()}`,
+    ]);
+
+    assert.deepStrictEqual(dialed.route, {
+      multiaddr: `/p2p/${relayV1.toB58String()}`,
+      hops: [exit.toB58String()],
+      proto: "/x/echo",
+    });
+    assert.deepStrictEqual(dialed.relayPath, [
+      relayV1.toB58String(),
+      exit.toB58String(),
+    ]);
+  });
+
+  it("keeps the hops of relayed routes", async () => {
+    const route = { ...exitRoute(), hops: [next.toB58String()] };
+    const dial = createDial(through(relayV2));
+
+    const dialed = await dialAutoRelay(
+      createLibp2p(),
+      [route],
+      dial,
+      options()
+    );
+    assert.deepStrictEqual(dialed.route.hops, [
+      exit.toB58String(),
+      next.toB58String(),
+    ]);
+    assert.deepStrictEqual(dialed.relayPath, [
+      relayV2.toB58String(),
+      exit.toB58String(),
+      next.toB58String(),
+    ]);
+  });
+
+  it("only uses options.maxRelays relays", async () => {
+    const dial = createDial(() => false);
+
+    await assert.rejects(
+      dialAutoRelay(
+        createLibp2p(),
+        [exitRoute()],
+        dial,
+        options({ maxRelays: 1 })
+      )
+    );
+    assert.deepStrictEqual(dial.calls[1], [`/p2p/${relayV2.toB58String()}`]);
+  });
+
+  it("dials the cached relay of a route first", async () => {
+    const libp2p = createLibp2p();
+    const dial = createDial(through(relayV2));
+
+    await dialAutoRelay(libp2p, [exitRoute()], dial, options());
+    dial.calls = [];
+    const dialed = await dialAutoRelay(libp2p, [exitRoute()], dial, options());
+
+    assert.deepStrictEqual(dial.calls, [[`/p2p/${relayV2.toB58String()}`]]);
+    assert.deepStrictEqual(dialed.relayPath, [
+      relayV2.toB58String(),
+      exit.toB58String(),
+    ]);
+    assert.strictEqual(libp2p.lookups, 1);
+  });
+
+  it("forgets cached relays that fail", async () => {
+    const libp2p = createLibp2p();
+    let reachable = through(relayV2);
+    const dial = createDial((route) => reachable(route));
+
+    await dialAutoRelay(libp2p, [exitRoute()], dial, options());
+    reachable = through(relayV1);
+    dial.calls = [];
+    const dialed = await dialAutoRelay(libp2p, [exitRoute()], dial, options());
+
+    assert.deepStrictEqual(dial.calls.slice(0, 2), [
+      [`/p2p/${relayV2.toB58String()}`],
+      [`/p2p/${exit.toB58String()}`],
+    ]);
+    assert.deepStrictEqual(dialed.relayPath, [
+      relayV1.toB58String(),
+      exit.toB58String(),
+    ]);
+
+    dial.calls = [];
+    await dialAutoRelay(libp2p, [exitRoute()], dial, options());
+    assert.deepStrictEqual(dial.calls, [[`/p2p/${relayV1.toB58String()}`]]);
+  });
+
+  it("doesn't relay routes failing past their first peer", async () => {
+    const libp2p = createLibp2p();
+    const err = dialError(
+      `/p2p/${exit.toB58String()}`,
+      "ERR_LIBP2P_PROTOCOL_NEGOTIATION_FAILED"
+    );
+    const dial = async () => {
+      throw err;
+    };
+
+    await assert.rejects(
+      dialAutoRelay(libp2p, [exitRoute()], dial, options()),
+      err
+    );
+    assert.strictEqual(libp2p.lookups, 0);
+  });
+
+  it("fails with the errors of direct and relayed dials", async () => {
+    const dial = createDial(() => false);
+
+    await assert.rejects(
+      dialAutoRelay(createLibp2p(), [exitRoute()], dial, options()),
+      (err) => {
+        assert.strictEqual(err.message, "Failed to connect to any route");
+        assert.deepStrictEqual(
+          err.errors.map(({ address }) => address),
+          [
+            `/p2p/${exit.toB58String()}`,
+            `/p2p/${relayV2.toB58String()}`,
+            `/p2p/${relayV1.toB58String()}`,
+          ]
+        );
+        return true;
+      }
+    );
+  });
+
+  it("validates options.autoRelay", () => {
+    assert.strictEqual(normalizeAutoRelayOptions(false, "autoRelay"), null);
+    assert.deepStrictEqual(
+      normalizeAutoRelayOptions({ maxRelays: 2 }, "autoRelay"),
+      { maxRelays: 2, probeTimeout: 5000 }
+    );
+    assert.throws(() => normalizeAutoRelayOptions("yes", "autoRelay"), {
+      code: "ERR_INVALID_ARG_TYPE",
+    });
+    assert.throws(
+      () => normalizeAutoRelayOptions({ maxRelays: 0 }, "autoRelay"),
+      { code: "ERR_OUT_OF_RANGE" }
+    );
+  });
+});
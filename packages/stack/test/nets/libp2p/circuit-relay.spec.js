@@ -0,0 +1,253 @@
+const assert = require("assert");
+const pair = require("it-pair/duplex");
+const PeerId = require("peer-id");
+const { Multiaddr } = require("multiaddr");
+const getCircuitRelay = require("../../../src/nets/libp2p/circuit-relay");
+const StreamHandler = require("../../../src/nets/libp2p/circuit-relay/stream-handler");
+const CircuitPB = require("../../../src/nets/libp2p/circuit-relay/circuit-pb");
+const {
+  HopMessage,
+  Status,
+} = require("../../../src/nets/libp2p/circuit-relay/circuit-v2-pb");
+
+const { PROTOCOL, HOP_PROTOCOL_V2, canHop } = getCircuitRelay;
+
+describe("circuit relay", () => {
+  let self, relay, destination, libp2p;
+
+  before(async () => {
+    [self, relay, destination] = await Promise.all(
+      [0, 1, 2].map(() => PeerId.create({ keyType: "Ed25519" }))
+    );
+  });
+
+  beforeEach(() => {
+    libp2p = {
+      peerId: self,
+      upgrader: { upgradeOutbound: async (maConn) => ({ maConn }) },
+    };
+  });
+
+  //Connection to a relay speaking protocols, answering each stream with reply(remote, protocol)
+  function relayConnection(protocols, reply) {
+    return {
+      remotePeer: relay,
+      remoteAddr: new Multiaddr(
+        "/ip4/127.0.0.1/tcp/4001/p2p/" + relay.toB58String()
+      ),
+      newStream: async (wanted) => {
+        const protocol = [].concat(wanted).find((p) => protocols.includes(p));
+        if (!protocol) {
+          const err = new Error("protocol selection failed");
+          err.code = "ERR_UNSUPPORTED_PROTOCOL";
+          throw err;
+        }
+
+        const [local, remote] = pair();
+        reply(remote, protocol);
+        return { stream: local, protocol };
+      },
+    };
+  }
+
+  //Relay decoding one request with codec and answering response
+  function answer(codec, response, requests = []) {
+    return async (remote) => {
+      const streamHandler = new StreamHandler({ stream: remote, codec });
+      requests.push(await streamHandler.read());
+      streamHandler.write(response);
+    };
+  }
+
+  it("sends v1 HOP requests with both peers", async () => {
+    const requests = [];
+    const connection = relayConnection(
+      [PROTOCOL],
+      answer(
+        CircuitPB,
+        { type: CircuitPB.Type.STATUS, code: CircuitPB.Status.SUCCESS },
+        requests
+      )
+    );
+
+    const relayed = await getCircuitRelay(
+      libp2p,
+      connection,
+      destination.toB58String()
+    );
+
+    const [request] = requests;
+    assert.strictEqual(request.type, CircuitPB.Type.HOP);
+    assert.deepStrictEqual(
+      Buffer.from(request.srcPeer.id),
+      Buffer.from(self.toBytes())
+    );
+    assert.deepStrictEqual(
+      Buffer.from(request.dstPeer.id),
+      Buffer.from(destination.toBytes())
+    );
+    assert.strictEqual(
+      new Multiaddr(request.dstPeer.addrs[0]).toString(),
+      "/p2p/" + destination.toB58String()
+    );
+    assert.strictEqual(
+      relayed.maConn.remoteAddr.toString(),
+      `${connection.remoteAddr}/p2p-circuit/p2p/${destination.toB58String()}`
+    );
+  });
+
+  it("prefers v2 CONNECT requests and exposes their limits", async () => {
+    const requests = [];
+    const connection = relayConnection(
+      [HOP_PROTOCOL_V2, PROTOCOL],
+      answer(
+        HopMessage,
+        {
+          type: HopMessage.Type.STATUS,
+          status: Status.OK,
+          limit: { duration: 120, data: 1024 },
+        },
+        requests
+      )
+    );
+
+    const relayed = await getCircuitRelay(
+      libp2p,
+      connection,
+      destination.toB58String()
+    );
+
+    const [request] = requests;
+    assert.strictEqual(request.type, HopMessage.Type.CONNECT);
+    assert.deepStrictEqual(
+      Buffer.from(request.peer.id),
+      Buffer.from(destination.toBytes())
+    );
+    assert.deepStrictEqual(relayed.limits, { seconds: 120, bytes: 1024 });
+  });
+
+  it("maps v1 statuses to socket error codes", async () => {
+    const connection = relayConnection(
+      [PROTOCOL],
+      answer(CircuitPB, {
+        type: CircuitPB.Type.STATUS,
+        code: CircuitPB.Status.HOP_NO_CONN_TO_DST,
+      })
+    );
+
+    await assert.rejects(
+      getCircuitRelay(libp2p, connection, destination.toB58String()),
+      {
+        code: "EHOSTUNREACH",
+        libp2pCode: "ERR_LIBP2P_RELAY_FAILED",
+        status: "HOP_NO_CONN_TO_DST",
+        peer: relay.toB58String(),
+        destination: destination.toB58String(),
+      }
+    );
+  });
+
+  it("maps v2 statuses to socket error codes", async () => {
+    const connection = relayConnection(
+      [HOP_PROTOCOL_V2],
+      answer(HopMessage, {
+        type: HopMessage.Type.STATUS,
+        status: Status.RESOURCE_LIMIT_EXCEEDED,
+      })
+    );
+
+    await assert.rejects(
+      getCircuitRelay(libp2p, connection, destination.toB58String()),
+      {
+        code: "EAGAIN",
+        libp2pCode: "ERR_LIBP2P_RELAY_FAILED",
+        status: "RESOURCE_LIMIT_EXCEEDED",
+      }
+    );
+  });
+
+  it("fails relays ending the stream without answering", async () => {
+    const connection = relayConnection([PROTOCOL], (remote) => remote.sink([]));
+
+    await assert.rejects(
+      getCircuitRelay(libp2p, connection, destination.toB58String()),
+      {
+        code: "ECONNRESET",
+        libp2pCode: "ERR_LIBP2P_RELAY_FAILED",
+        status: "NO_RESPONSE",
+      }
+    );
+  });
+
+  it("wraps streams reset by the relay", async () => {
+    const reset = new Error("stream reset");
+    const connection = relayConnection([PROTOCOL], (remote) =>
+      remote.sink(
+        (async function* () {
+          throw reset;
+        })()
+      )
+    );
+
+    await assert.rejects(
+      getCircuitRelay(libp2p, connection, destination.toB58String()),
+      (err) => {
+        assert.strictEqual(err.code, "ECONNRESET");
+        assert.strictEqual(err.libp2pCode, "ERR_LIBP2P_RELAY_FAILED");
+        assert.strictEqual(err.status, "HOP_FAILED");
+        assert.strictEqual(err.peer, relay.toB58String());
+        assert.strictEqual(err.destination, destination.toB58String());
+        assert.strictEqual(err.cause, reset);
+        return true;
+      }
+    );
+  });
+
+  it("wraps replies failing to decode", async () => {
+    //Length prefixed message with an invalid protobuf field
+    const connection = relayConnection([PROTOCOL], (remote) =>
+      remote.sink([Uint8Array.from([2, 0xff, 0xff])])
+    );
+
+    await assert.rejects(
+      getCircuitRelay(libp2p, connection, destination.toB58String()),
+      { libp2pCode: "ERR_LIBP2P_RELAY_FAILED", status: "HOP_FAILED" }
+    );
+  });
+
+  it("fails relays speaking neither version", async () => {
+    const connection = relayConnection([], () => {});
+
+    await assert.rejects(
+      getCircuitRelay(libp2p, connection, destination.toB58String()),
+      {
+        code: "ECONNREFUSED",
+        libp2pCode: "ERR_LIBP2P_PROTOCOL_NEGOTIATION_FAILED",
+      }
+    );
+  });
+
+  it("probes v1 relays with CAN_HOP", async () => {
+    const requests = [];
+    const enabled = relayConnection(
+      [PROTOCOL],
+      answer(
+        CircuitPB,
+        { type: CircuitPB.Type.STATUS, code: CircuitPB.Status.SUCCESS },
+        requests
+      )
+    );
+    const disabled = relayConnection(
+      [PROTOCOL],
+      answer(CircuitPB, {
+        type: CircuitPB.Type.STATUS,
+        code: CircuitPB.Status.HOP_CANT_SPEAK_RELAY,
+      })
+    );
+
+    assert.strictEqual(await canHop(enabled), true);
+    assert.strictEqual(requests[0].type, CircuitPB.Type.CAN_HOP);
+    assert.strictEqual(await canHop(disabled), false);
+    assert.strictEqual(await canHop(relayConnection([], () => {})), false);
+  });
+});
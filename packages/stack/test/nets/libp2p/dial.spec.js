@@ -0,0 +1,264 @@
+const assert = require("assert");
+const {
+  dialRoute,
+  dialRoutes,
+  getConnectionCache,
+} = require("../../../src/nets/libp2p/dial");
+const { closeStream } = require("../../../src/nets/duplex/internals");
+const { createPeerIds, echoConnection, fakeLibp2p } = require("./utils");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("libp2p connection cache", () => {
+  let self, exit;
+
+  before(async () => {
+    [self, exit] = await createPeerIds(2);
+  });
+
+  function routeTo(peer) {
+    return {
+      multiaddr: "/p2p/" + peer.toB58String(),
+      hops: [],
+      proto: "/x/echo",
+    };
+  }
+
+  //Connection cache of a libp2p node whose connections report status
+  function setup(status) {
+    const connections = [];
+    const libp2p = fakeLibp2p(self, () => {
+      const connection = echoConnection(exit, { status });
+      connections.push(connection);
+      return connection;
+    });
+    return { libp2p, connections, cache: getConnectionCache(libp2p) };
+  }
+
+  it("shares connections to the same route", async () => {
+    const { libp2p, cache } = setup("open");
+    const route = routeTo(exit);
+
+    const first = await cache.acquire(route);
+    const second = await cache.acquire(route);
+
+    assert.strictEqual(first.connection, second.connection);
+    assert.strictEqual(libp2p.dialed.length, 1);
+
+    first.release();
+    second.release();
+  });
+
+  it("shares dials still in progress", async () => {
+    const { libp2p, cache } = setup("open");
+    const route = routeTo(exit);
+
+    const [first, second] = await Promise.all([
+      cache.acquire(route),
+      cache.acquire(route),
+    ]);
+
+    assert.strictEqual(first.connection, second.connection);
+    assert.strictEqual(libp2p.dialed.length, 1);
+  });
+
+  it("reuses open connections of every libp2p version", async () => {
+    for (const status of ["open", "OPEN", undefined]) {
+      const { libp2p, cache } = setup(status);
+      const route = routeTo(exit);
+
+      const { release } = await cache.acquire(route);
+      await cache.acquire(route);
+
+      assert.strictEqual(libp2p.dialed.length, 1, `status ${status}`);
+      release();
+    }
+  });
+
+  it("redials closed connections", async () => {
+    const { libp2p, connections, cache } = setup("open");
+    const route = routeTo(exit);
+
+    const first = await cache.acquire(route);
+    await connections[0].close();
+    const second = await cache.acquire(route);
+
+    assert.notStrictEqual(first.connection, second.connection);
+    assert.strictEqual(libp2p.dialed.length, 2);
+  });
+
+  it("opens a stream per socket on shared connections", async () => {
+    const { libp2p, connections } = setup("open");
+    const route = routeTo(exit);
+
+    const first = await dialRoute(libp2p, route);
+    const second = await dialRoute(libp2p, route);
+
+    assert.strictEqual(first.connection, second.connection);
+    assert.strictEqual(connections[0].streams.length, 2);
+
+    [first, second].forEach(({ stream, release }) => {
+      closeStream(stream);
+      release();
+    });
+  });
+
+  it("fails dials with Node-style errors", async () => {
+    const libp2p = fakeLibp2p(self, () => {
+      throw new Error("unreachable");
+    });
+
+    await assert.rejects(dialRoute(libp2p, routeTo(exit)), {
+      code: "EHOSTUNREACH",
+      libp2pCode: "ERR_LIBP2P_DIAL_FAILED",
+      hop: 0,
+      address: "/p2p/" + exit.toB58String(),
+    });
+  });
+
+  it("fails protocols the exit node doesn't speak", async () => {
+    const libp2p = fakeLibp2p(self, () =>
+      echoConnection(exit, { protocols: ["/x/other"] })
+    );
+
+    await assert.rejects(dialRoute(libp2p, routeTo(exit)), {
+      code: "ECONNREFUSED",
+      libp2pCode: "ERR_LIBP2P_PROTOCOL_NEGOTIATION_FAILED",
+      proto: "/x/echo",
+    });
+  });
+});
+
+describe("libp2p route racing", () => {
+  let self, first, second;
+
+  before(async () => {
+    [self, first, second] = await createPeerIds(3);
+  });
+
+  function routeTo(peer) {
+    return {
+      multiaddr: "/p2p/" + peer.toB58String(),
+      hops: [],
+      proto: "/x/echo",
+    };
+  }
+
+  //libp2p node connecting to each peer after its delay in milliseconds, or failing when null.
+  //Streams are opened once options.gate resolves and record being closed.
+  function setup(delays, { gate } = {}) {
+    const connections = {};
+    const libp2p = fakeLibp2p(self, async (multiaddr) => {
+      const peer = multiaddr.split("/").pop();
+      if (delays[peer] === null) throw new Error("unreachable");
+      await delay(delays[peer]);
+
+      const connection = echoConnection(
+        peer === first.toB58String() ? first : second
+      );
+      const newStream = connection.newStream;
+      connection.newStream = async (protocols) => {
+        await gate;
+        const result = await newStream(protocols);
+        result.stream.closed = false;
+        result.stream.close = () => (result.stream.closed = true);
+        return result;
+      };
+
+      connections[peer] = connection;
+      return connection;
+    });
+    return { libp2p, connections, cache: getConnectionCache(libp2p) };
+  }
+
+  it("starts each route once the previous one takes longer than options.attemptDelay", async () => {
+    const { libp2p } = setup({
+      [first.toB58String()]: 1000,
+      [second.toB58String()]: 0,
+    });
+
+    const dialing = dialRoutes(libp2p, [routeTo(first), routeTo(second)], {
+      attemptDelay: 30,
+    });
+
+    await delay(10);
+    assert.deepStrictEqual(libp2p.dialed, ["/p2p/" + first.toB58String()]);
+
+    const { route, stream, release } = await dialing;
+    assert.deepStrictEqual(route, routeTo(second));
+    assert.strictEqual(libp2p.dialed.length, 2);
+
+    closeStream(stream);
+    release();
+  });
+
+  it("starts the next route as soon as one fails", async () => {
+    const { libp2p } = setup({
+      [first.toB58String()]: null,
+      [second.toB58String()]: 0,
+    });
+
+    const { route, release } = await dialRoutes(
+      libp2p,
+      [routeTo(first), routeTo(second)],
+      { attemptDelay: 10000 }
+    );
+    assert.deepStrictEqual(route, routeTo(second));
+    release();
+  });
+
+  it("closes streams of routes connecting after the winner", async () => {
+    let open;
+    const gate = new Promise((resolve) => (open = resolve));
+    const { libp2p, connections, cache } = setup(
+      { [first.toB58String()]: 0, [second.toB58String()]: 0 },
+      { gate }
+    );
+
+    const dialing = dialRoutes(libp2p, [routeTo(first), routeTo(second)], {
+      attemptDelay: 0,
+    });
+
+    //Both routes open their stream at once, only one can win
+    await delay(20);
+    assert.strictEqual(Object.keys(connections).length, 2);
+    open();
+
+    const { route, stream, release } = await dialing;
+    await delay(10);
+
+    const loser = route.multiaddr === routeTo(first).multiaddr ? second : first;
+    const late = connections[loser.toB58String()];
+    assert.strictEqual(late.streams.length, 1);
+    assert.strictEqual(late.streams[0].closed, true);
+    assert.strictEqual(stream.closed, false);
+    assert.deepStrictEqual(
+      [...cache.entries.values()].map((e) => e.refs),
+      [1]
+    );
+
+    release();
+  });
+
+  it("fails with every error once every route failed", async () => {
+    const { libp2p } = setup({
+      [first.toB58String()]: null,
+      [second.toB58String()]: null,
+    });
+
+    const err = await dialRoutes(libp2p, [routeTo(first), routeTo(second)], {
+      attemptDelay: 0,
+    }).then(
+      () => assert.fail("connected"),
+      (err) => err
+    );
+
+    assert.strictEqual(err.name, "AggregateError");
+    assert.strictEqual(err.message, "Failed to connect to any route");
+    assert.strictEqual(err.code, "EHOSTUNREACH");
+    assert.deepStrictEqual(
+      err.errors.map((error) => error.address),
+      [routeTo(first).multiaddr, routeTo(second).multiaddr]
+    );
+  });
+});
@@ -0,0 +1,175 @@
+const assert = require("assert");
+const {
+  advertiseExit,
+  findExits,
+  getExitCid,
+} = require("../../../src/nets/libp2p/discovery");
+const { createPeerIds, fakeLibp2p } = require("./utils");
+
+const PROTO = "/x/httpGoogle";
+
+/**
+ * Content routing answering findProviders with providers, like a DHT
+ * @param {Array<Object>} providers { id, multiaddrs } yielded in order
+ * @param {Object} options options.error is thrown once the providers are yielded, options.wait keeps searching
+ *  until aborted
+ * @returns {Object} contentRouting recording the cids it provided and searched for
+ */
+function fakeContentRouting(providers, { error, wait } = {}) {
+  const contentRouting = {
+    provided: [],
+    searches: [],
+    provide: async (cid) => {
+      contentRouting.provided.push(cid.toString());
+    },
+    findProviders: async function* (cid, options) {
+      contentRouting.searches.push({ cid: cid.toString(), ...options });
+      yield* providers;
+      if (error) throw error;
+      if (wait) {
+        await new Promise((resolve, reject) =>
+          options.signal.addEventListener("abort", () =>
+            reject(Object.assign(new Error("aborted"), { code: "ABORT_ERR" }))
+          )
+        );
+      }
+    },
+  };
+
+  return contentRouting;
+}
+
+describe("libp2p exit discovery", () => {
+  let self, exits;
+
+  before(async () => {
+    [self, ...exits] = await createPeerIds(3);
+  });
+
+  function createLibp2p(contentRouting) {
+    const libp2p = fakeLibp2p(self);
+    libp2p.contentRouting = contentRouting;
+    return libp2p;
+  }
+
+  const provider = (peer) => ({
+    id: peer,
+    multiaddrs: ["/ip4/10.0.0.1/tcp/4001"],
+  });
+
+  it("finds exits providing the protocol, skipping itself and duplicates", async () => {
+    const contentRouting = fakeContentRouting([
+      provider(self),
+      provider(exits[0]),
+      provider(exits[0]),
+      provider(exits[1]),
+    ]);
+
+    const found = await findExits(createLibp2p(contentRouting), PROTO);
+    assert.deepStrictEqual(
+      found,
+      exits.map((peer) => ({
+        multiaddr: `/p2p/${peer.toB58String()}`,
+        proto: PROTO,
+        peerId: peer.toB58String(),
+        multiaddrs: ["/ip4/10.0.0.1/tcp/4001"],
+      }))
+    );
+
+    const [search] = contentRouting.searches;
+    assert.strictEqual(search.cid, (await getExitCid(PROTO)).toString());
+    assert.strictEqual(search.maxNumProviders, 20);
+  });
+
+  it("stops searching once options.maxExits are found", async () => {
+    const contentRouting = fakeContentRouting(exits.map(provider));
+
+    const found = await findExits(createLibp2p(contentRouting), PROTO, {
+      maxExits: 1,
+    });
+    assert.deepStrictEqual(
+      found.map(({ peerId }) => peerId),
+      [exits[0].toB58String()]
+    );
+  });
+
+  it("finds no exits when routers have no providers", async () => {
+    const error = Object.assign(new Error("not found"), {
+      code: "ERR_NOT_FOUND",
+    });
+
+    assert.deepStrictEqual(
+      await findExits(createLibp2p(fakeContentRouting([])), PROTO),
+      []
+    );
+    assert.deepStrictEqual(
+      await findExits(createLibp2p(fakeContentRouting([], { error })), PROTO),
+      []
+    );
+  });
+
+  it("fails with other routing errors", async () => {
+    const error = new Error("routing failed");
+    await assert.rejects(
+      findExits(createLibp2p(fakeContentRouting([], { error })), PROTO),
+      error
+    );
+  });
+
+  it("returns the exits found so far once options.timeout elapses", async () => {
+    const contentRouting = fakeContentRouting([provider(exits[0])], {
+      wait: true,
+    });
+
+    const found = await findExits(createLibp2p(contentRouting), PROTO, {
+      timeout: 20,
+    });
+    assert.deepStrictEqual(
+      found.map(({ peerId }) => peerId),
+      [exits[0].toB58String()]
+    );
+  });
+
+  it("fails with AbortError once options.signal aborts", async () => {
+    const contentRouting = fakeContentRouting([provider(exits[0])], {
+      wait: true,
+    });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(
+      findExits(createLibp2p(contentRouting), PROTO, {
+        signal: controller.signal,
+      }),
+      { name: "AbortError", code: "ABORT_ERR" }
+    );
+  });
+
+  it("fails without content routing", async () => {
+    await assert.rejects(findExits(fakeLibp2p(self), PROTO), {
+      code: "ERR_LIBP2P_NO_CONTENT_ROUTING",
+    });
+  });
+
+  it("advertises exits again every options.interval until stopped", async () => {
+    const contentRouting = fakeContentRouting([]);
+    const { cid, stop } = await advertiseExit(
+      createLibp2p(contentRouting),
+      PROTO,
+      { interval: 10 }
+    );
+    assert.strictEqual(cid.toString(), (await getExitCid(PROTO)).toString());
+
+    while (contentRouting.provided.length < 3) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    stop();
+
+    const { length } = contentRouting.provided;
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.strictEqual(contentRouting.provided.length, length);
+    assert.ok(
+      contentRouting.provided.every((provided) => provided === String(cid))
+    );
+  });
+});
@@ -0,0 +1,180 @@
+const assert = require("assert");
+const { once } = require("events");
+const nativeNet = require("net");
+const pair = require("it-pair/duplex");
+const net = require("../../../src/nets/libp2p");
+const { createPeerIds, echoConnection, fakeLibp2p } = require("./utils");
+
+//Read a stream's source until it ends
+async function readAll(source) {
+  const chunks = [];
+  for await (const chunk of source) {
+    chunks.push(Buffer.from(chunk.slice ? chunk.slice() : chunk));
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe("libp2p Forwarder", () => {
+  let self, peer, stranger;
+  let target, port;
+
+  before(async () => {
+    [self, peer, stranger] = await createPeerIds(3);
+
+    //Echo target, answering once the peer ended its side
+    target = nativeNet.createServer({ allowHalfOpen: true }, (socket) => {
+      socket.pipe(socket);
+    });
+    target.listen(0, "127.0.0.1");
+    await once(target, "listening");
+    port = target.address().port;
+  });
+
+  after(() => target.close());
+
+  //Open a stream to the forwarder's handler, returning the peer's end of it
+  function openStream(libp2p, from) {
+    const [local, remote] = pair();
+    libp2p.handlers.get("/x/echo")({
+      connection: echoConnection(from),
+      stream: local,
+      protocol: "/x/echo",
+    });
+    return remote;
+  }
+
+  async function createForwarder(options) {
+    const libp2p = fakeLibp2p(self);
+    const forwarder = net.createForwarder({
+      libp2p,
+      proto: "/x/echo",
+      target: `127.0.0.1:${port}`,
+      ...options,
+    });
+    await once(forwarder, "listening");
+    return { libp2p, forwarder };
+  }
+
+  async function close(forwarder) {
+    forwarder.close();
+    await once(forwarder, "close");
+  }
+
+  it("pipes streams to its target", async () => {
+    const { libp2p, forwarder } = await createForwarder();
+    const forwarded = once(forwarder, "forward");
+    const ended = once(forwarder, "forwardEnd");
+
+    const remote = openStream(libp2p, peer);
+    remote.sink([Buffer.from("hello")]);
+    assert.strictEqual(await readAll(remote.source), "hello");
+
+    await forwarded;
+    const [info] = await ended;
+    assert.strictEqual(info.remotePeer, peer.toB58String());
+    assert.strictEqual(info.bytesIn, 5);
+    assert.strictEqual(info.bytesOut, 5);
+    assert.strictEqual(info.timedOut, false);
+    assert.deepStrictEqual(forwarder.stats, {
+      connections: 1,
+      active: 0,
+      refused: 0,
+      dropped: 0,
+      errors: 0,
+      bytesIn: 5,
+      bytesOut: 5,
+    });
+
+    await close(forwarder);
+  });
+
+  it("refuses peers missing from options.allow", async () => {
+    const { libp2p, forwarder } = await createForwarder({
+      allow: [peer.toB58String()],
+    });
+    forwarder.on("connection", () => assert.fail("refused peer connected"));
+
+    const refused = once(forwarder, "refuse");
+    const remote = openStream(libp2p, stranger);
+
+    const [data] = await refused;
+    assert.deepStrictEqual(data, {
+      remotePeer: stranger.toB58String(),
+      protocol: "/x/echo",
+    });
+    assert.strictEqual(await readAll(remote.source), "");
+    assert.strictEqual(forwarder.stats.refused, 1);
+    assert.strictEqual(forwarder.stats.connections, 0);
+
+    await close(forwarder);
+  });
+
+  it("forwards peers in options.allow", async () => {
+    const { libp2p, forwarder } = await createForwarder({
+      allow: [peer.toB58String()],
+    });
+
+    const remote = openStream(libp2p, peer);
+    remote.sink([Buffer.from("allowed")]);
+    assert.strictEqual(await readAll(remote.source), "allowed");
+    assert.strictEqual(forwarder.stats.refused, 0);
+
+    await close(forwarder);
+  });
+
+  it("allows peers connecting from an allowed multiaddress", async () => {
+    const { libp2p, forwarder } = await createForwarder({
+      allow: ["/ip4/127.0.0.1"],
+    });
+
+    const remote = openStream(libp2p, stranger);
+    remote.sink([Buffer.from("local")]);
+    assert.strictEqual(await readAll(remote.source), "local");
+
+    await close(forwarder);
+  });
+
+  it("closes connections idle for options.idleTimeout", async () => {
+    const { libp2p, forwarder } = await createForwarder({ idleTimeout: 50 });
+    const ended = once(forwarder, "forwardEnd");
+
+    //Never ending the stream leaves the connection open until it idles
+    const remote = openStream(libp2p, peer);
+    remote.sink(
+      (async function* () {
+        yield Buffer.from("ping");
+        await new Promise(() => {});
+      })()
+    );
+    const read = readAll(remote.source);
+
+    const [info] = await ended;
+    assert.strictEqual(info.timedOut, true);
+    assert.strictEqual(info.error, null);
+    assert.strictEqual(forwarder.stats.active, 0);
+    assert.strictEqual(await read, "ping");
+
+    await close(forwarder);
+  });
+
+  it("drops streams past options.maxConnections", async () => {
+    const { libp2p, forwarder } = await createForwarder({
+      maxConnections: 1,
+    });
+
+    const first = openStream(libp2p, peer);
+    const firstRead = readAll(first.source);
+
+    const dropped = once(forwarder, "drop");
+    const second = openStream(libp2p, peer);
+    await dropped;
+    assert.strictEqual(await readAll(second.source), "");
+    assert.strictEqual(forwarder.stats.dropped, 1);
+    assert.strictEqual(forwarder.stats.connections, 1);
+
+    first.sink([Buffer.from("first")]);
+    assert.strictEqual(await firstRead, "first");
+
+    await close(forwarder);
+  });
+});
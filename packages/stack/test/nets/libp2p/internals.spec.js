@@ -0,0 +1,85 @@
+const assert = require("assert");
+const net = require("../../../src/nets/libp2p/internals");
+const { createPeerIds } = require("./utils");
+
+describe("libp2p multiaddr helpers", () => {
+  let a, b;
+
+  before(async () => {
+    [a, b] = (await createPeerIds(2)).map((peerId) => peerId.toB58String());
+  });
+
+  it("parses full circuit addresses", () => {
+    assert.deepStrictEqual(
+      net.parseMultiaddr(
+        `/dns4/relay/tcp/4003/ws/p2p/${a}/p2p-circuit/p2p/${b}/x/httpGoogle`
+      ),
+      {
+        transport: "/dns4/relay/tcp/4003/ws",
+        peerId: a,
+        hops: [b],
+        proto: "/x/httpGoogle",
+      }
+    );
+  });
+
+  it("parses hosts named x", () => {
+    assert.deepStrictEqual(net.parseMultiaddr(`/dns4/x/tcp/80/p2p/${a}/x/a`), {
+      transport: "/dns4/x/tcp/80",
+      peerId: a,
+      hops: [],
+      proto: "/x/a",
+    });
+    assert.deepStrictEqual(
+      net.parseMultiaddr(`/dns4/x/tcp/80/p2p/${a}/p2p-circuit/p2p/${b}`),
+      { transport: "/dns4/x/tcp/80", peerId: a, hops: [b], proto: undefined }
+    );
+  });
+
+  it("parses addresses without a transport or protocol", () => {
+    assert.deepStrictEqual(net.parseMultiaddr(`/p2p/${a}`), {
+      transport: undefined,
+      peerId: a,
+      hops: [],
+      proto: undefined,
+    });
+    assert.deepStrictEqual(net.parseMultiaddr("/ip4/127.0.0.1/tcp/80/x/a"), {
+      transport: "/ip4/127.0.0.1/tcp/80",
+      peerId: undefined,
+      hops: [],
+      proto: "/x/a",
+    });
+  });
+
+  it("rejects invalid addresses", () => {
+    for (const address of [
+      "http://example.com",
+      "/p2p/notapeerid",
+      `/p2p/${a}/p2p-circuit`,
+      `/p2p/${a}/x/`,
+      "/x/a",
+      42,
+    ]) {
+      assert.strictEqual(net.parseMultiaddr(address), null, String(address));
+    }
+  });
+
+  it("formats parsed addresses back", () => {
+    const address = `/dns4/x/tcp/80/p2p/${a}/p2p-circuit/p2p/${b}/x/a`;
+    assert.strictEqual(
+      net.formatMultiaddr(net.parseMultiaddr(address)),
+      address
+    );
+  });
+
+  it("detects peer ids, multiaddrs and circuit addresses", () => {
+    assert.strictEqual(net.isPeerId(a), true);
+    assert.strictEqual(net.isPeerId("Qm"), false);
+    assert.strictEqual(net.isMultiaddr(`/dns4/x/tcp/80/p2p/${a}/x/a`), true);
+    assert.strictEqual(
+      net.isCircuitAddr(`/p2p/${a}/p2p-circuit/p2p/${b}`),
+      true
+    );
+    assert.strictEqual(net.isCircuitAddr(`/p2p/${a}`), false);
+  });
+});
@@ -0,0 +1,76 @@
+const assert = require("assert");
+const { once } = require("events");
+const net = require("../../../src/nets/libp2p");
+const { ping, PING_PROTOCOL } = require("../../../src/nets/libp2p/ping");
+const { createPeerIds, echoConnection, fakeLibp2p } = require("./utils");
+
+describe("libp2p keep-alive pings", () => {
+  let self, exit;
+
+  before(async () => {
+    [self, exit] = await createPeerIds(2);
+  });
+
+  function connect(protocols) {
+    const libp2p = fakeLibp2p(self, () => echoConnection(exit, { protocols }));
+    return net.connect({
+      libp2p,
+      multiaddr: `/p2p/${exit.toB58String()}/x/echo`,
+      keepAlive: true,
+      keepAliveInitialDelay: 10,
+    });
+  }
+
+  it("measures round trip times of peers echoing pings", async () => {
+    const connection = echoConnection(exit);
+    const rtt = await ping(connection);
+
+    assert.strictEqual(typeof rtt, "number");
+    assert.strictEqual(connection.streams.length, 1);
+  });
+
+  it("records round trip times of idle sockets", async () => {
+    const socket = connect();
+    await once(socket, "connect");
+
+    while (!socket.rttSamples.length) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    assert.strictEqual(socket.rtt, socket.rttSamples[0]);
+    assert.ok(socket.rtt >= 0);
+    socket.destroy();
+  });
+
+  it("resets sockets once keep-alive pings keep failing", async function () {
+    //Failed pings are retried 3 times, a second apart
+    this.timeout(10000);
+
+    const socket = connect(["/x/echo"]);
+    await once(socket, "connect");
+
+    const [err] = await once(socket, "error");
+    assert.strictEqual(err.code, "ECONNRESET");
+    assert.strictEqual(err.message, "Keep-alive pings failed");
+    assert.strictEqual(err.cause.code, "ERR_UNSUPPORTED_PROTOCOL");
+    assert.strictEqual(socket.destroyed, true);
+    assert.deepStrictEqual(socket.rttSamples, []);
+  });
+
+  it("fails pings the peer doesn't answer in time", async () => {
+    const connection = echoConnection(exit);
+    connection.newStream = async () => ({
+      stream: {
+        sink: async () => {},
+        source: (async function* () {
+          await new Promise(() => {});
+        })(),
+      },
+      protocol: PING_PROTOCOL,
+    });
+
+    await assert.rejects(ping(connection, { timeout: 20 }), {
+      code: "ETIMEDOUT",
+    });
+  });
+});
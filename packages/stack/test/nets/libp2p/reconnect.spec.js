@@ -0,0 +1,144 @@
+const assert = require("assert");
+const { once } = require("events");
+const net = require("../../../src/nets/libp2p");
+const { createPeerIds, fakeLibp2p } = require("./utils");
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+//Stream recording what it's sent, failing once stream.fail is called
+function failingStream() {
+  let fail;
+  const failed = new Promise((resolve, reject) => (fail = reject));
+
+  const stream = {
+    written: [],
+    fail,
+    sink: async (source) => {
+      for await (const chunk of source) stream.written.push(String(chunk));
+    },
+    source: (async function* () {
+      await failed;
+    })(),
+    close: () => {},
+  };
+
+  return stream;
+}
+
+describe("libp2p reconnecting sockets", () => {
+  let self, exit;
+
+  before(async () => {
+    [self, exit] = await createPeerIds(2);
+  });
+
+  /**
+   * Socket reconnecting over connections opening failing streams
+   * @param {Object} reconnect reconnect policy
+   * @param {Function} dial called with the number of the dial, can throw or wait
+   * @returns {Object} { socket, streams }
+   */
+  function connect(reconnect, dial = () => {}) {
+    const streams = [];
+    let dials = 0;
+
+    const libp2p = fakeLibp2p(self, async () => {
+      await dial(dials++);
+      return {
+        remotePeer: exit,
+        stat: { status: "open" },
+        newStream: async () => {
+          const stream = failingStream();
+          streams.push(stream);
+          return { stream, protocol: "/x/echo" };
+        },
+        close: async () => {},
+      };
+    });
+
+    const socket = net.connect({
+      libp2p,
+      multiaddr: `/p2p/${exit.toB58String()}/x/echo`,
+      reconnect,
+    });
+    socket.resume();
+
+    return { socket, streams };
+  }
+
+  it("redials with exponential backoff, giving up after options.retries", async () => {
+    const { socket, streams } = connect(
+      { retries: 3, minDelay: 10, factor: 2, maxDelay: 30 },
+      (dial) => {
+        if (dial) throw new Error("unreachable");
+      }
+    );
+    await once(socket, "connect");
+
+    const delays = [];
+    socket.on("reconnecting", ({ delay }) => delays.push(delay));
+    streams[0].fail(new Error("stream reset"));
+
+    const [err] = await once(socket, "error");
+    assert.deepStrictEqual(delays, [10, 20, 30]);
+    assert.strictEqual(err.code, "EHOSTUNREACH");
+    assert.strictEqual(err.libp2pCode, "ERR_LIBP2P_DIAL_FAILED");
+    assert.strictEqual(err.reconnectAttempts, 3);
+  });
+
+  it("gives up once options.shouldReconnect returns false", async () => {
+    const { socket, streams } = connect({
+      minDelay: 0,
+      shouldReconnect: (err) => err.message !== "fatal",
+    });
+    await once(socket, "connect");
+
+    streams[0].fail(new Error("fatal"));
+
+    const [err] = await once(socket, "error");
+    assert.strictEqual(err.message, "fatal");
+    assert.strictEqual(err.reconnectAttempts, 0);
+    assert.strictEqual(streams.length, 1);
+  });
+
+  it("buffers writes while reconnecting and sends them once reconnected", async () => {
+    let redial;
+    const redialed = new Promise((resolve) => (redial = resolve));
+    const { socket, streams } = connect(
+      { minDelay: 0, maxBufferSize: 6 },
+      (dial) => dial && redialed
+    );
+    await once(socket, "connect");
+
+    socket.write("one");
+    await tick();
+    assert.deepStrictEqual(streams[0].written, ["one"]);
+
+    const reconnecting = once(socket, "reconnecting");
+    streams[0].fail(new Error("stream reset"));
+    await reconnecting;
+
+    //Writes complete until maxBufferSize bytes are buffered, then wait
+    const written = [];
+    socket.write("two", () => written.push("two"));
+    socket.write("three", () => written.push("three"));
+    await tick();
+
+    assert.deepStrictEqual(written, ["two"]);
+    assert.strictEqual(socket.reconnectState.reconnecting, true);
+    assert.strictEqual(socket.reconnectState.bufferedBytes, 8);
+
+    const reconnected = once(socket, "reconnect");
+    redial();
+    const [{ attempts }] = await reconnected;
+    await tick();
+
+    assert.strictEqual(attempts, 1);
+    assert.deepStrictEqual(streams[1].written, ["two", "three"]);
+    assert.deepStrictEqual(written, ["two", "three"]);
+    assert.strictEqual(socket.reconnectState.reconnects, 1);
+    assert.strictEqual(socket.reconnectState.bufferedBytes, 0);
+
+    socket.destroy();
+  });
+});
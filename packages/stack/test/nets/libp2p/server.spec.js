@@ -0,0 +1,132 @@
+const assert = require("assert");
+const { once } = require("events");
+const pair = require("it-pair/duplex");
+const net = require("../../../src/nets/libp2p");
+const {
+  createPeerIds,
+  echoConnection,
+  echoStream,
+  fakeLibp2p,
+} = require("./utils");
+
+describe("libp2p Server", () => {
+  let self, peer;
+
+  before(async () => {
+    [self, peer] = await createPeerIds(2);
+  });
+
+  it("accepts streams of its protocol as sockets", async () => {
+    const libp2p = fakeLibp2p(self);
+    const server = net.createServer();
+    server.listen({ libp2p, proto: "/x/echo" });
+    await once(server, "listening");
+
+    const connected = once(server, "connection");
+    const handler = libp2p.handlers.get("/x/echo");
+    handler({
+      connection: echoConnection(peer),
+      stream: echoStream(),
+      protocol: "/x/echo",
+    });
+
+    const [socket] = await connected;
+    assert.strictEqual(socket.remoteAddress, peer.toB58String());
+    assert.strictEqual(socket.protocol, "/x/echo");
+
+    socket.destroy();
+    server.close();
+    await once(server, "close");
+    assert.strictEqual(libp2p.handlers.size, 0);
+  });
+
+  it("emits 'listening' once its handler is registered", async () => {
+    const libp2p = fakeLibp2p(self);
+    let register;
+    libp2p.handle = () => new Promise((resolve) => (register = resolve));
+
+    const server = net.createServer();
+    let listening = false;
+    server.on("listening", () => (listening = true));
+    server.listen({ libp2p, proto: "/x/echo" });
+
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(listening, false);
+
+    register();
+    await once(server, "listening");
+    server.close();
+  });
+
+  it("emits errors registering its handler", async () => {
+    const libp2p = fakeLibp2p(self);
+    const failure = new Error("handler already registered");
+    libp2p.handle = async () => {
+      throw failure;
+    };
+
+    const server = net.createServer();
+    server.on("listening", () => assert.fail("listening before failing"));
+    server.listen({ libp2p, proto: "/x/echo" });
+
+    const [err] = await once(server, "error");
+    assert.strictEqual(err, failure);
+    assert.strictEqual(server.listening, false);
+    await new Promise((resolve) => setImmediate(resolve));
+  });
+
+  it("emits errors removing its handler", async () => {
+    const libp2p = fakeLibp2p(self);
+    const failure = new Error("libp2p stopped");
+    libp2p.unhandle = async () => {
+      throw failure;
+    };
+
+    const server = net.createServer();
+    server.listen({ libp2p, proto: "/x/echo" });
+    await once(server, "listening");
+    server.close();
+
+    const [err] = await once(server, "error");
+    assert.strictEqual(err, failure);
+  });
+
+  //Open a stream from peer to the server's handler, returning what the server sent before closing it
+  async function openStream(libp2p, from) {
+    const [local, remote] = pair();
+    libp2p.handlers.get("/x/echo")({
+      connection: echoConnection(from),
+      stream: local,
+      protocol: "/x/echo",
+    });
+
+    const chunks = [];
+    for await (const chunk of remote.source) chunks.push(chunk);
+    return chunks.length;
+  }
+
+  for (const [name, listenOptions] of [
+    ["createServer", false],
+    ["listen", true],
+  ]) {
+    it(`refuses peers blocked by options.blockList of ${name}`, async () => {
+      const blockList = new net.BlockList();
+      blockList.addAddress(peer.toB58String());
+
+      const libp2p = fakeLibp2p(self);
+      const server = net.createServer(listenOptions ? {} : { blockList });
+      server.on("connection", () => assert.fail("blocked peer connected"));
+      server.listen({
+        libp2p,
+        proto: "/x/echo",
+        ...(listenOptions && { blockList }),
+      });
+      await once(server, "listening");
+
+      assert.strictEqual(await openStream(libp2p, peer), 0);
+
+      server.close();
+      await once(server, "close");
+    });
+  }
+});
@@ -0,0 +1,97 @@
+const assert = require("assert");
+const { once } = require("events");
+const net = require("../../../src/nets/libp2p");
+const { getConnectionCache } = require("../../../src/nets/libp2p/dial");
+const { createPeerIds, echoConnection, fakeLibp2p } = require("./utils");
+
+describe("libp2p Socket", () => {
+  let self, exit;
+
+  before(async () => {
+    [self, exit] = await createPeerIds(2);
+  });
+
+  function refs(libp2p) {
+    return [...getConnectionCache(libp2p).entries.values()].map(
+      (entry) => entry.refs
+    );
+  }
+
+  it("connects and echoes through a stream", async () => {
+    const libp2p = fakeLibp2p(self, () => echoConnection(exit));
+    const socket = net.connect({
+      libp2p,
+      multiaddr: `/p2p/${exit.toB58String()}/x/echo`,
+    });
+
+    const closed = once(socket, "close");
+
+    await once(socket, "connect");
+    socket.end("hello");
+
+    const chunks = [];
+    for await (const chunk of socket) chunks.push(chunk);
+    assert.strictEqual(Buffer.concat(chunks).toString(), "hello");
+
+    await closed;
+    assert.deepStrictEqual(refs(libp2p), []);
+  });
+
+  it("releases connections of sockets destroyed while the dial settles", async () => {
+    const libp2p = fakeLibp2p(self, () => echoConnection(exit));
+    const socket = new net.Socket();
+
+    //Destroy the socket once its stream is open, before connecting continues
+    const dial = socket._dial;
+    socket._dial = async (...args) => {
+      const dialed = await dial.apply(socket, args);
+      socket.destroy();
+      return dialed;
+    };
+
+    socket.connect({
+      libp2p,
+      multiaddr: `/p2p/${exit.toB58String()}/x/echo`,
+    });
+    socket.on("connect", () => assert.fail("destroyed socket connected"));
+
+    await once(socket, "close");
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.strictEqual(socket.destroyed, true);
+    assert.deepStrictEqual(refs(libp2p), []);
+  });
+
+  it("fails connects taking longer than options.connectTimeout", async () => {
+    const libp2p = fakeLibp2p(self, () => new Promise(() => {}));
+    const socket = net.connect({
+      libp2p,
+      multiaddr: `/p2p/${exit.toB58String()}/x/echo`,
+      connectTimeout: 20,
+    });
+
+    const [err] = await once(socket, "error");
+    assert.strictEqual(err.code, "ETIMEDOUT");
+    assert.strictEqual(err.libp2pCode, "ERR_LIBP2P_CONNECT_TIMEOUT");
+    assert.strictEqual(err.hop, 0);
+    assert.strictEqual(socket.destroyed, true);
+    assert.deepStrictEqual(refs(libp2p), []);
+  });
+
+  it("aborts connects in progress with options.signal", async () => {
+    const libp2p = fakeLibp2p(self, () => new Promise(() => {}));
+    const controller = new AbortController();
+    const socket = net.connect({
+      libp2p,
+      multiaddr: `/p2p/${exit.toB58String()}/x/echo`,
+      signal: controller.signal,
+    });
+
+    setTimeout(() => controller.abort(), 10);
+
+    const [err] = await once(socket, "error");
+    assert.strictEqual(err.name, "AbortError");
+    assert.strictEqual(socket.destroyed, true);
+    assert.deepStrictEqual(refs(libp2p), []);
+  });
+});
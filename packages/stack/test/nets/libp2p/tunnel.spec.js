@@ -0,0 +1,136 @@
+const assert = require("assert");
+const { once } = require("events");
+const nativeNet = require("net");
+const net = require("../../../src/nets/libp2p");
+const { createPeerIds, echoConnection, fakeLibp2p } = require("./utils");
+
+//Read a native socket until it ends or closes
+async function readAll(socket) {
+  const chunks = [];
+  socket.on("data", (chunk) => chunks.push(chunk));
+  await once(socket, "close");
+  return Buffer.concat(chunks).toString();
+}
+
+describe("libp2p Tunnel", () => {
+  let self, exit;
+
+  before(async () => {
+    [self, exit] = await createPeerIds(2);
+  });
+
+  //Tunnel from a local port to an echo protocol of exit
+  async function createTunnel(options, connect = () => echoConnection(exit)) {
+    const libp2p = fakeLibp2p(self, connect);
+    const tunnel = net.createTunnel({
+      libp2p,
+      listen: "127.0.0.1:0",
+      multiaddr: `/p2p/${exit.toB58String()}/x/echo`,
+      ...options,
+    });
+    await once(tunnel, "listening");
+    return { libp2p, tunnel };
+  }
+
+  function connectLocal(tunnel) {
+    const { address, port } = tunnel.address();
+    return nativeNet.connect(port, address);
+  }
+
+  async function close(tunnel) {
+    tunnel.close();
+    await once(tunnel, "close");
+  }
+
+  it("pipes local connections to the remote protocol", async () => {
+    const { tunnel } = await createTunnel();
+    const forwarded = once(tunnel, "forward");
+    const ended = once(tunnel, "forwardEnd");
+
+    const local = connectLocal(tunnel);
+    local.end("hello");
+    assert.strictEqual(await readAll(local), "hello");
+
+    const [, socket] = await forwarded;
+    assert.strictEqual(socket.protocol, "/x/echo");
+
+    const [info] = await ended;
+    assert.strictEqual(info.remotePeer, exit.toB58String());
+    assert.strictEqual(info.route.proto, "/x/echo");
+    assert.strictEqual(info.remoteAddress, "127.0.0.1");
+    assert.strictEqual(info.bytesIn, 5);
+    assert.strictEqual(info.bytesOut, 5);
+    assert.deepStrictEqual(tunnel.stats, {
+      connections: 1,
+      active: 0,
+      dropped: 0,
+      errors: 0,
+      bytesIn: 5,
+      bytesOut: 5,
+    });
+
+    await close(tunnel);
+  });
+
+  it("closes local connections failing to connect through libp2p", async () => {
+    const { tunnel } = await createTunnel({}, () => {
+      throw new Error("unreachable");
+    });
+    const ended = once(tunnel, "forwardEnd");
+
+    const local = connectLocal(tunnel);
+    local.on("error", () => {});
+    assert.strictEqual(await readAll(local), "");
+
+    const [info] = await ended;
+    assert.strictEqual(info.error.code, "EHOSTUNREACH");
+    assert.strictEqual(tunnel.stats.errors, 1);
+
+    await close(tunnel);
+  });
+
+  it("closes connections idle for options.idleTimeout", async () => {
+    const { tunnel } = await createTunnel({ idleTimeout: 50 });
+    const ended = once(tunnel, "forwardEnd");
+
+    const local = connectLocal(tunnel);
+    local.write("ping");
+    const read = readAll(local);
+
+    const [info] = await ended;
+    assert.strictEqual(info.timedOut, true);
+    assert.strictEqual(await read, "ping");
+
+    await close(tunnel);
+  });
+
+  it("drops connections past options.maxConnections", async () => {
+    const { tunnel } = await createTunnel({ maxConnections: 1 });
+
+    const first = connectLocal(tunnel);
+    await once(tunnel, "forward");
+
+    const dropped = once(tunnel, "drop");
+    const second = connectLocal(tunnel);
+    second.on("error", () => {});
+    await dropped;
+    assert.strictEqual(await readAll(second), "");
+    assert.strictEqual(tunnel.stats.dropped, 1);
+
+    first.end("first");
+    assert.strictEqual(await readAll(first), "first");
+
+    await close(tunnel);
+  });
+
+  it("throws for invalid routes rather than failing each connection", () => {
+    assert.throws(
+      () =>
+        net.createTunnel({
+          libp2p: fakeLibp2p(self),
+          listen: "127.0.0.1:0",
+        }),
+      { code: "ERR_MISSING_OPTION" }
+    );
+  });
+});
@@ -0,0 +1,81 @@
+const pair = require("it-pair/duplex");
+const PeerId = require("peer-id");
+const { Multiaddr } = require("multiaddr");
+
+function createPeerIds(count) {
+  return Promise.all(
+    Array.from({ length: count }, () => PeerId.create({ keyType: "Ed25519" }))
+  );
+}
+
+//Stream echoing what is written to it
+function echoStream() {
+  const [local, remote] = pair();
+  remote.sink(remote.source);
+  return local;
+}
+
+/**
+ * Legacy libp2p connection to peer opening echo streams
+ * @param {PeerId} peer remote peer
+ * @param {Object} options options.status of the connection and options.protocols it speaks
+ * @returns {Object} connection with the streams it opened as connection.streams
+ */
+function echoConnection(peer, { status = "open", protocols } = {}) {
+  const connection = {
+    remotePeer: peer,
+    remoteAddr: new Multiaddr(
+      "/ip4/127.0.0.1/tcp/4001/p2p/" + peer.toB58String()
+    ),
+    stat: { status },
+    streams: [],
+    closed: false,
+    newStream: async (wanted) => {
+      const protocol = [].concat(wanted)[0];
+      if (protocols && !protocols.includes(protocol)) {
+        const err = new Error("protocol selection failed");
+        err.code = "ERR_UNSUPPORTED_PROTOCOL";
+        throw err;
+      }
+
+      const stream = echoStream();
+      connection.streams.push(stream);
+      return { stream, protocol };
+    },
+    close: async () => {
+      connection.closed = true;
+      connection.stat.status = "closed";
+    },
+  };
+
+  return connection;
+}
+
+/**
+ * Legacy libp2p node dialing connections with connect(multiaddr)
+ * @param {PeerId} peerId
+ * @param {Function} connect returns the connection to a multiaddress string or throws
+ * @returns {Object} libp2p with the multiaddresses it dialed as libp2p.dialed
+ */
+function fakeLibp2p(peerId, connect) {
+  const libp2p = {
+    peerId,
+    dialed: [],
+    handlers: new Map(),
+    dial: async (multiaddr) => {
+      libp2p.dialed.push(String(multiaddr));
+      return connect(String(multiaddr));
+    },
+    handle: (proto, handler) => libp2p.handlers.set(proto, handler),
+    unhandle: (proto) => libp2p.handlers.delete(proto),
+  };
+
+  return libp2p;
+}
+
+module.exports = {
+  createPeerIds,
+  echoConnection,
+  echoStream,
+  fakeLibp2p,
+};
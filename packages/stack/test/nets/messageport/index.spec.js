@@ -0,0 +1,107 @@
+const assert = require("assert");
+const nodeNet = require("net");
+const { once } = require("events");
+const messageport = require("../../../src/nets/messageport");
+const { createPortStream } = require("../../../src/nets/messageport/stream");
+
+//Read a socket until it closes
+async function readAll(socket) {
+  const chunks = [];
+  socket.on("data", (chunk) => chunks.push(chunk));
+  await once(socket, "close");
+  return Buffer.concat(chunks);
+}
+
+describe("nets.messageport", () => {
+  let server, port, channel, stopHandling;
+
+  beforeEach(async () => {
+    server = nodeNet.createServer();
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    port = server.address().port;
+
+    channel = new MessageChannel();
+    stopHandling = messageport.handle(channel.port2, (options) =>
+      nodeNet.connect(options)
+    );
+  });
+
+  afterEach(() => {
+    stopHandling();
+    channel.port1.close();
+    channel.port2.close();
+    server.close();
+  });
+
+  it("bridges sockets opened by the handler", async () => {
+    server.on("connection", (socket) => socket.pipe(socket));
+
+    const socket = messageport.connect({
+      messagePort: channel.port1,
+      host: "127.0.0.1",
+      port,
+    });
+    await once(socket, "connect");
+    assert.strictEqual(socket.remotePort, port);
+
+    socket.end("hello");
+    assert.strictEqual(String(await readAll(socket)), "hello");
+  });
+
+  it("delivers every byte the handler's socket read before closing", async () => {
+    const reply = Buffer.alloc(1024 * 1024, "a");
+    server.on("connection", (socket) => socket.end(reply));
+
+    for (let i = 0; i < 5; i++) {
+      const socket = messageport.connect({
+        messagePort: channel.port1,
+        host: "127.0.0.1",
+        port,
+      });
+
+      const received = await readAll(socket);
+      assert.strictEqual(received.length, reply.length, `attempt ${i}`);
+    }
+  });
+
+  it("emits errors of the handler's socket", async () => {
+    server.close();
+    await once(server, "close");
+
+    const socket = messageport.connect({
+      messagePort: channel.port1,
+      host: "127.0.0.1",
+      port,
+    });
+
+    const [err] = await once(socket, "error");
+    assert.strictEqual(err.code, "ECONNREFUSED");
+  });
+});
+
+describe("messageport streams", () => {
+  it("sends the chunk waiting for the window when closed", async () => {
+    const { port1, port2 } = new MessageChannel();
+    const sender = createPortStream(port1, { windowSize: 4 });
+    const receiver = createPortStream(port2);
+
+    //The receiver doesn't read, so the second chunk waits for the window
+    const sent = sender.sink(
+      (async function* () {
+        yield Buffer.from("abcd");
+        yield Buffer.from("efgh");
+      })()
+    );
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    sender.close();
+    await sent;
+
+    const chunks = [];
+    for await (const chunk of receiver.source) chunks.push(chunk);
+    assert.strictEqual(String(Buffer.concat(chunks)), "abcdefgh");
+
+    port1.close();
+    port2.close();
+  });
+});
@@ -0,0 +1,169 @@
+const assert = require("assert");
+const { once } = require("events");
+const nativeNet = require("net");
+const net = require("../../../src/nets/websocket");
+
+/**
+ * WebSocket class bridged to a TCP target in process, like websockify
+ * @param {number} port TCP port of the target
+ * @param {Object} options options.protocol the bridge answers with, options.refuse fails every WebSocket
+ * @returns {Function} WebSocket class recording its instances as WebSocket.opened
+ */
+function websockify(port, { protocol, refuse } = {}) {
+  class WebSocket extends EventTarget {
+    constructor(url, protocols) {
+      super();
+      this.url = url;
+      this.readyState = 0;
+      this.bufferedAmount = 0;
+      this.binaryType = "blob";
+      this.protocol = protocol || [].concat(protocols)[0];
+      this.sent = [];
+      this.closeCode = null;
+      WebSocket.opened.push(this);
+
+      if (refuse) {
+        setImmediate(() => {
+          this._dispatch("error");
+          this._closed(1006);
+        });
+        return;
+      }
+
+      this.tcp = nativeNet.connect(port, "127.0.0.1", () => {
+        this.readyState = 1;
+        this._dispatch("open");
+      });
+      this.tcp.on("data", (chunk) =>
+        this._dispatch("message", {
+          data:
+            this.protocol === "base64"
+              ? chunk.toString("base64")
+              : new Uint8Array(chunk).buffer,
+        })
+      );
+      this.tcp.on("end", () => this.close(1000));
+      this.tcp.on("error", () => this.close(1011));
+    }
+
+    send(data) {
+      this.sent.push(data);
+      this.tcp.write(
+        typeof data === "string" ? Buffer.from(data, "base64") : data
+      );
+    }
+
+    close(code = 1005) {
+      if (this.readyState > 1) return;
+      this.readyState = 2;
+      this.closeCode = code;
+      if (this.tcp) this.tcp.end();
+      setImmediate(() => this._closed(code));
+    }
+
+    _closed(code) {
+      this.readyState = 3;
+      this._dispatch("close", { code });
+    }
+
+    _dispatch(type, properties) {
+      this.dispatchEvent(Object.assign(new Event(type), properties));
+    }
+  }
+
+  WebSocket.opened = [];
+  return WebSocket;
+}
+
+//WebSockets can't be half-closed, so replies are read before ending
+async function echo(socket, data) {
+  socket.write(data);
+  const [reply] = await once(socket, "data");
+  socket.end();
+  return reply.toString();
+}
+
+describe("nets.websocket", () => {
+  let target, port;
+
+  //TCP echo server behind the bridge, ending once the client ended
+  before(async () => {
+    target = nativeNet.createServer({ allowHalfOpen: true }, (socket) => {
+      socket.on("error", () => {});
+      socket.pipe(socket);
+    });
+    target.listen(0, "127.0.0.1");
+    await once(target, "listening");
+    port = target.address().port;
+  });
+
+  after(() => target.close());
+
+  it("sends and receives binary frames", async () => {
+    const WebSocket = websockify(port);
+    const socket = net.connect({ url: "ws://bridge:8080/", WebSocket });
+
+    await once(socket, "connect");
+    assert.strictEqual(socket.remoteAddress, "bridge");
+    assert.strictEqual(socket.remotePort, 8080);
+
+    assert.strictEqual(await echo(socket, "hello"), "hello");
+
+    const [websocket] = WebSocket.opened;
+    assert.strictEqual(websocket.protocol, "binary");
+    assert.strictEqual(websocket.binaryType, "arraybuffer");
+    assert.ok(websocket.sent.every((data) => typeof data !== "string"));
+  });
+
+  it("encodes frames of the base64 subprotocol", async () => {
+    const WebSocket = websockify(port, { protocol: "base64" });
+    const socket = net.connect({ url: "ws://bridge:8080/", WebSocket });
+
+    assert.strictEqual(await echo(socket, "hello"), "hello");
+
+    const [websocket] = WebSocket.opened;
+    assert.deepStrictEqual(websocket.sent, [
+      Buffer.from("hello").toString("base64"),
+    ]);
+  });
+
+  it("closes the WebSocket normally once ended", async () => {
+    const WebSocket = websockify(port);
+    const socket = net.connect({ url: "ws://bridge:8080/", WebSocket });
+    socket.on("error", () => assert.fail("closing failed"));
+
+    await once(socket, "connect");
+    socket.end();
+    socket.resume();
+    await once(socket, "close");
+
+    const [websocket] = WebSocket.opened;
+    assert.strictEqual(websocket.closeCode, 1000);
+    assert.strictEqual(websocket.readyState, 3);
+  });
+
+  it("fails with ECONNRESET when the WebSocket closes abnormally", async () => {
+    const WebSocket = websockify(port);
+    const socket = net.connect({ url: "ws://bridge:8080/", WebSocket });
+
+    await once(socket, "connect");
+    const [websocket] = WebSocket.opened;
+    socket.resume();
+    websocket.tcp.destroy();
+    websocket.close(1011);
+
+    const [err] = await once(socket, "error");
+    assert.strictEqual(err.code, "ECONNRESET");
+    assert.match(err.message, /1011/);
+  });
+
+  it("fails to connect when the WebSocket fails to open", async () => {
+    const WebSocket = websockify(port, { refuse: true });
+    const socket = net.connect({ url: "ws://bridge:8080/", WebSocket });
+
+    const [err] = await once(socket, "error");
+    assert.strictEqual(err.code, "ERR_WEBSOCKET_CONNECT_FAILED");
+    assert.strictEqual(err.syscall, "connect");
+    assert.strictEqual(err.address, "ws://bridge:8080/");
+  });
+});
@@ -0,0 +1,68 @@
+const assert = require("assert");
+const { once } = require("events");
+const net = require("net");
+const tls = require("../../src/tls");
+
+describe("tls", () => {
+  let server, port;
+  const sockets = new Set();
+
+  //Server accepting connections without ever answering the handshake
+  before(async () => {
+    server = net.createServer((socket) => {
+      sockets.add(socket);
+      socket.on("error", () => {});
+    });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    port = server.address().port;
+  });
+
+  after(() => {
+    sockets.forEach((socket) => socket.destroy());
+    server.close();
+  });
+
+  function connect() {
+    return tls.connect({
+      socket: net.connect(port, "127.0.0.1"),
+      host: "localhost",
+      rejectUnauthorized: false,
+    });
+  }
+
+  it("emits timeouts of the underlying socket", async () => {
+    const socket = connect();
+    let called = false;
+
+    assert.strictEqual(
+      socket.setTimeout(20, () => (called = true)),
+      socket
+    );
+    await once(socket, "timeout");
+
+    assert.strictEqual(called, true);
+    socket._socket.destroy();
+  });
+
+  it("stops timing out once the timeout is 0", async () => {
+    const socket = connect();
+    socket.setTimeout(20);
+    socket.setTimeout(0);
+    socket.on("timeout", () => assert.fail("timed out"));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    socket._socket.destroy();
+  });
+
+  it("refs and unrefs the underlying socket, chaining like net.Socket", async () => {
+    const socket = connect();
+    const calls = [];
+    socket._socket.ref = () => calls.push("ref");
+    socket._socket.unref = () => calls.push("unref");
+
+    assert.strictEqual(socket.unref().ref(), socket);
+    assert.deepStrictEqual(calls, ["unref", "ref"]);
+    socket._socket.destroy();
+  });
+});
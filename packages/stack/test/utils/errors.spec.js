@@ -0,0 +1,41 @@
+const assert = require("assert");
+const { libp2pException, socksException } = require("../../src/utils/errors");
+
+describe("transport errors", () => {
+  it("keeps the libp2p code next to the system error code", () => {
+    const cause = new Error("unreachable");
+    const err = libp2pException(
+      "ERR_LIBP2P_DIAL_FAILED",
+      "EHOSTUNREACH",
+      { hop: 0, cause },
+      "/p2p/QmA"
+    );
+
+    assert.strictEqual(err.message, "Failed to dial /p2p/QmA");
+    assert.strictEqual(err.code, "EHOSTUNREACH");
+    assert.strictEqual(err.libp2pCode, "ERR_LIBP2P_DIAL_FAILED");
+    assert.strictEqual(err.syscall, "connect");
+    assert.strictEqual(err.hop, 0);
+    assert.strictEqual(err.cause, cause);
+    assert.strictEqual(err.socksCode, undefined);
+  });
+
+  it("keeps the SOCKS code next to the system error code", () => {
+    const err = socksException(
+      "ERR_SOCKS_AUTH_FAILED",
+      "EACCES",
+      { reply: 1 },
+      "proxy:1080"
+    );
+
+    assert.strictEqual(
+      err.message,
+      "SOCKS proxy proxy:1080 rejected the credentials"
+    );
+    assert.strictEqual(err.code, "EACCES");
+    assert.strictEqual(err.socksCode, "ERR_SOCKS_AUTH_FAILED");
+    assert.strictEqual(err.syscall, "connect");
+    assert.strictEqual(err.reply, 1);
+    assert.strictEqual(err.libp2pCode, undefined);
+  });
+});